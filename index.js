@@ -7,11 +7,16 @@ const fs = require('fs');
 // Import core modules
 const WhatsAppBot = require('./src/platforms/whatsapp-bot');
 const SafetyManager = require('./src/core/safety-manager');
+const ApiKeyAuth = require('./src/platforms/api-key-auth');
+const KnowledgeApi = require('./src/platforms/knowledge-api');
 
 // Initialize
 const app = express();
 const PORT = process.env.PORT || 3000;
 const safetyManager = new SafetyManager();
+const whatsappBot = new WhatsAppBot(safetyManager);
+const apiAuth = new ApiKeyAuth();
+const knowledgeApi = new KnowledgeApi(whatsappBot.ai.knowledgeBase);
 
 // Ensure directories exist
 const mediaDir = path.join(__dirname, 'public/media');
@@ -47,8 +52,8 @@ app.get('/', (req, res) => {
         <h2>📊 System Status</h2>
         <div class="status healthy">✅ Server is running</div>
         <div class="status healthy">✅ WhatsApp Webhook: Active</div>
-        <div class="status ${process.env.GROQ_API_KEY ? 'healthy' : 'warning'}">
-          ${process.env.GROQ_API_KEY ? '✅' : '⚠️'} Groq AI: ${process.env.GROQ_API_KEY ? 'Configured' : 'Not configured'}
+        <div class="status ${whatsappBot.ai.aiEnabled ? 'healthy' : 'warning'}">
+          ${whatsappBot.ai.aiEnabled ? '✅' : '⚠️'} AI: ${whatsappBot.ai.llm.describe()}
         </div>
         <div class="status ${process.env.SUPABASE_URL ? 'healthy' : 'warning'}">
           ${process.env.SUPABASE_URL ? '✅' : '⚠️'} Supabase: ${process.env.SUPABASE_URL ? 'Connected' : 'Not connected'}
@@ -61,6 +66,9 @@ app.get('/', (req, res) => {
           <li><a href="/health">Health Check</a> - JSON status</li>
           <li><a href="/whatsapp-webhook">WhatsApp Webhook</a> - POST only</li>
           <li><a href="/whatsapp-status">Status Callback</a> - POST only</li>
+          <li>/api/deliveries - Delivery log (needs ADMIN_API_KEY)</li>
+          <li>/api/knowledge - Knowledge base CRUD, /import and /export (needs ADMIN_API_KEY)</li>
+          <li>/api/feedback/report - Poorly rated answers (needs ADMIN_API_KEY)</li>
         </ul>
       </div>
       
@@ -84,9 +92,11 @@ app.get('/', (req, res) => {
 // Health endpoint
 app.get('/health', (req, res) => {
   const memoryUsage = process.memoryUsage();
+  const breakers = safetyManager.getBreakerStats();
+  const degraded = Object.values(breakers).some(breaker => breaker.state !== 'closed');
   
   res.json({
-    status: 'healthy',
+    status: degraded ? 'degraded' : 'healthy',
     service: 'vox-note-wa',
     version: '1.0.0',
     timestamp: new Date().toISOString(),
@@ -98,18 +108,47 @@ app.get('/health', (req, res) => {
     },
     safety: {
       activeRequests: safetyManager.activeRequests,
-      queueSize: safetyManager.queue.length
+      queueSize: safetyManager.queue.length,
+      activeLanes: safetyManager.lanes.size
     },
+    rateLimits: safetyManager.getRateLimitStats(),
+    breakers: breakers,
+    dedupe: whatsappBot.dedupe.getStats(),
+    outbound: whatsappBot.outbound.getStats(),
+    roles: whatsappBot.roles.getStats(),
     services: {
       twilio: !!process.env.TWILIO_ACCOUNT_SID,
-      groq: !!process.env.GROQ_API_KEY,
+      llm: whatsappBot.ai.llm.getStatus(),
       supabase: !!process.env.SUPABASE_URL
     }
   });
 });
 
-// Initialize WhatsApp bot
-const whatsappBot = new WhatsAppBot(safetyManager);
+// Delivery log (admin only): ?to=whatsapp:+123&status=failed&limit=50
+app.get('/api/deliveries', apiAuth.middleware(), async (req, res) => {
+  const deliveries = await whatsappBot.outbound.getLog({
+    to: req.query.to || null,
+    status: req.query.status || null,
+    limit: req.query.limit
+  });
+  res.json({ deliveries, count: deliveries.length });
+});
+
+// Poorly rated answers to review (admin only): ?limit=20
+app.get('/api/feedback/report', apiAuth.middleware(), async (req, res) => {
+  try {
+    const report = await whatsappBot.ai.feedback.getReviewReport({
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 200)
+    });
+    res.json(report);
+  } catch (error) {
+    console.error('Feedback report error:', error.message);
+    res.status(503).json({ error: 'Feedback report unavailable' });
+  }
+});
+
+// Knowledge base CRUD (admin only)
+knowledgeApi.register(app, '/api/knowledge', apiAuth);
 
 // Setup webhooks
 whatsappBot.setupWebhook(app, '/whatsapp-webhook', '/whatsapp-status');
@@ -1,149 +1,86 @@
-const axios = require('axios');
+const LLMRouter = require('../providers/llm-router');
+const KnowledgeBase = require('./knowledge-base');
+const AnswerFeedback = require('./answer-feedback');
 
 class AIProcessor {
-  constructor() {
-    this.groqEnabled = !!process.env.GROQ_API_KEY;
-    this.groqModel = process.env.GROQ_MODEL || 'llama-3.1-8b-instant';
+  // safetyManager is the app's shared instance (so its breakers show up in /health);
+  // it supplies retries and circuit breakers for the LLM and Supabase calls
+  constructor(safetyManager) {
+    this.llm = new LLMRouter(safetyManager);
+    this.aiEnabled = this.llm.isEnabled();
     
-    // Initialize Supabase if available
-    this.supabase = null;
-    this.supabaseEnabled = false;
+    // Knowledge base (Supabase + semantic search)
+    this.knowledgeBase = new KnowledgeBase(safetyManager);
+    this.supabase = this.knowledgeBase.supabase;
+    this.supabaseEnabled = this.knowledgeBase.isAvailable;
+    const trustThreshold = parseFloat(process.env.KB_TRUST_THRESHOLD);
+    this.trustThreshold = Number.isNaN(trustThreshold) ? 0.75 : trustThreshold;
+    this.feedback = new AnswerFeedback(this.knowledgeBase);
     
-    if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
-      try {
-        const { createClient } = require('@supabase/supabase-js');
-        this.supabase = createClient(
-          process.env.SUPABASE_URL,
-          process.env.SUPABASE_ANON_KEY
-        );
-        this.supabaseEnabled = true;
-        console.log('✅ Supabase knowledge base connected');
-      } catch (error) {
-        console.warn('❌ Supabase connection failed:', error.message);
-      }
-    } else {
-      console.log('ℹ️  Supabase not configured');
-    }
-    
-    if (this.groqEnabled) {
-      console.log(`✅ Groq AI enabled (model: ${this.groqModel})`);
+    if (this.aiEnabled) {
+      console.log(`✅ AI enabled (providers: ${this.llm.describe()})`);
     } else {
-      console.log('ℹ️  Groq AI disabled - set GROQ_API_KEY to enable');
+      console.log('ℹ️  AI disabled - set LLM_PROVIDER (and its credentials) to enable');
     }
   }
 
-  async queryGroqAI(question, context = null) {
-    if (!this.groqEnabled) return null;
+  async queryAI(question, context = null, options = {}) {
+    const result = await this.queryAIWithProvider(question, context, options);
+    return result ? result.text : null;
+  }
+
+  async queryAIWithProvider(question, context = null, options = {}) {
+    if (!this.aiEnabled) return null;
     
     try {
-      let messages = [
-        { 
-          role: 'system', 
-          content: 'You are a helpful AI assistant. Provide accurate, concise answers in plain text (no markdown).' 
-        }
-      ];
-      
-      if (context) {
-        messages.push({
-          role: 'system',
-          content: `Context: ${context}`
-        });
-      }
-      
-      messages.push({ role: 'user', content: question });
-      
-      const response = await axios.post(
-        'https://api.groq.com/openai/v1/chat/completions',
-        {
-          model: this.groqModel,
-          messages: messages,
-          temperature: 0.7,
-          max_tokens: 800
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${process.env.GROQ_API_KEY}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 15000
-        }
-      );
-      
-      if (response.data?.choices?.[0]?.message?.content) {
-        return response.data.choices[0].message.content.trim();
-      }
-      return null;
+      const messages = this.llm.buildMessages(question, { context, history: options.history || [] });
+      return await this.llm.chat(messages, options);
     } catch (error) {
-      console.error('Groq AI error:', error.message);
+      console.error('AI query error:', error.message);
       return null;
     }
   }
 
-  async searchKnowledge(query) {
+  // Looks at a few candidates so user feedback can change which one wins
+  async searchKnowledge(query, options = {}) {
     if (!this.supabaseEnabled) return null;
     
-    try {
-      const q = query.trim().toLowerCase();
-      
-      // Try exact match
-      let { data, error } = await this.supabase
-        .from('knowledge_base')
-        .select('question, answer, content')
-        .ilike('question', q)
-        .limit(1);
-      
-      if (error) throw error;
-      if (data && data.length > 0) {
-        return data[0].answer || data[0].content;
-      }
-      
-      // Try content match
-      ({ data, error } = await this.supabase
-        .from('knowledge_base')
-        .select('answer, content')
-        .or(`answer.ilike.%${q}%,content.ilike.%${q}%`)
-        .order('created_at', { ascending: false })
-        .limit(1));
-      
-      if (error) throw error;
-      if (data && data.length > 0) {
-        return data[0].answer || data[0].content;
-      }
-      
-      return null;
-    } catch (error) {
-      console.error('Knowledge search error:', error.message);
-      return null;
-    }
+    const matches = await this.knowledgeBase.search(query, { limit: 5, ...options });
+    const [bestMatch] = await this.feedback.rank(matches);
+    return bestMatch || null;
   }
 
-  async getAnswer(query, useAI = false) {
+  async getAnswer(query, useAI = false, options = {}) {
     // Always try knowledge base first (if available)
+    let kbMatch = null;
     if (this.supabaseEnabled) {
-      const kbAnswer = await this.searchKnowledge(query);
-      if (kbAnswer) {
+      kbMatch = await this.searchKnowledge(query);
+      
+      // In knowledge mode any match above the search threshold is used;
+      // in AI mode a weak match only becomes context for the model
+      if (kbMatch && (!useAI || kbMatch.score >= this.trustThreshold)) {
         return {
           source: 'knowledge_base',
-          answer: kbAnswer
+          answer: kbMatch.answer,
+          score: kbMatch.score,
+          knowledgeId: kbMatch.id,
+          question: kbMatch.question
         };
       }
     }
     
-    // Use AI if requested or if no KB answer
-    if (useAI || !this.supabaseEnabled) {
-      if (this.groqEnabled) {
+    // Use AI if requested or if no KB answer (unless the caller's quota is used up)
+    if ((useAI || !this.supabaseEnabled) && options.allowAI !== false) {
+      if (this.aiEnabled) {
         // Get context from knowledge base for AI
-        let context = null;
-        if (this.supabaseEnabled) {
-          const kbResults = await this.searchKnowledge(query);
-          if (kbResults) context = kbResults;
-        }
+        const context = kbMatch ? `${kbMatch.question}\n${kbMatch.answer}` : null;
         
-        const aiAnswer = await this.queryGroqAI(query, context);
-        if (aiAnswer) {
+        const aiResult = await this.queryAIWithProvider(query, context, { history: options.history });
+        if (aiResult) {
           return {
-            source: 'groq_ai',
-            answer: aiAnswer
+            source: 'ai',
+            provider: aiResult.provider,
+            answer: aiResult.text
           };
         }
       }
@@ -157,8 +94,8 @@ class AIProcessor {
   }
 
   getDefaultResponse(query, useAI) {
-    if (useAI && !this.groqEnabled) {
-      return 'AI mode is enabled but Groq AI is not configured. Please set GROQ_API_KEY.';
+    if (useAI && !this.aiEnabled) {
+      return 'AI mode is enabled but no AI provider is configured. Please set LLM_PROVIDER and its credentials.';
     }
     
     const responses = [
@@ -173,96 +110,56 @@ class AIProcessor {
       return randomResponse + '\n\nYou can teach me by saying "teach"!';
     }
     
-    return randomResponse + (this.groqEnabled ? '\n\nTry saying "use AI" to enable AI mode!' : '');
+    return randomResponse + (this.aiEnabled ? '\n\nTry saying "use AI" to enable AI mode!' : '');
   }
 
-  async addKnowledge(question, answer) {
+  async addKnowledge(question, answer, audit = {}) {
     if (!this.supabaseEnabled) {
       throw new Error('Knowledge base not available. Supabase is not configured.');
     }
     
-    try {
-      // Check if question already exists
-      const { data: existing } = await this.supabase
-        .from('knowledge_base')
-        .select('id')
-        .ilike('question', question)
-        .limit(1);
-      
-      let result;
-      if (existing && existing.length > 0) {
-        // Update existing
-        const { error } = await this.supabase
-          .from('knowledge_base')
-          .update({
-            answer: answer,
-            content: answer,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', existing[0].id);
-        
-        if (error) throw error;
-        result = `Updated: "${question}"`;
-      } else {
-        // Insert new
-        const { error } = await this.supabase
-          .from('knowledge_base')
-          .insert([{
-            question: question,
-            answer: answer,
-            content: answer,
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-          }]);
-        
-        if (error) throw error;
-        result = `Added: "${question}"`;
-      }
-      
-      return {
-        question: question,
-        answer: answer,
-        result: result
-      };
-    } catch (error) {
-      console.error('Add knowledge error:', error);
-      throw error;
-    }
+    return this.knowledgeBase.addKnowledge(question, answer, audit);
+  }
+
+  async listKnowledge(options = {}) {
+    return this.knowledgeBase.list(options);
+  }
+
+  async getKnowledge(id) {
+    return this.knowledgeBase.get(id);
+  }
+
+  async findKnowledge(term, options = {}) {
+    return this.knowledgeBase.find(term, options);
+  }
+
+  async updateKnowledge(id, changes, audit = {}) {
+    return this.knowledgeBase.updateKnowledge(id, changes, audit);
+  }
+
+  async deleteKnowledge(id, audit = {}) {
+    return this.knowledgeBase.deleteKnowledge(id, audit);
+  }
+
+  async getKnowledgeHistory(id, options = {}) {
+    return this.knowledgeBase.getHistory(id, options);
+  }
+
+  async getKnowledgeRevision(id, revision) {
+    return this.knowledgeBase.getRevision(id, revision);
+  }
+
+  async revertKnowledge(id, revision, audit = {}) {
+    return this.knowledgeBase.revert(id, revision, audit);
   }
 
   async getKnowledgeStats() {
-    if (!this.supabaseEnabled) return 0;
-    
-    try {
-      const { count, error } = await this.supabase
-        .from('knowledge_base')
-        .select('*', { count: 'exact', head: true });
-      
-      if (error) throw error;
-      return count || 0;
-    } catch (error) {
-      console.error('Get stats error:', error);
-      return 0;
-    }
+    return this.knowledgeBase.getStats();
   }
 
   async saveMessage(userId, text, source = 'text') {
-    if (!this.supabaseEnabled) return;
-    
-    try {
-      await this.supabase
-        .from('messages')
-        .insert([{
-          user_id: userId?.toString?.() || null,
-          text: text,
-          source: source,
-          platform: 'whatsapp',
-          created_at: new Date().toISOString()
-        }]);
-    } catch (error) {
-      console.error('Save message error:', error.message);
-    }
+    return this.knowledgeBase.saveMessage(userId, text, source, 'whatsapp');
   }
 }
 
-module.exports = AIProcessor;
\ No newline at end of file
+module.exports = AIProcessor;
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+
+// Ratings of the bot's answers (answer_feedback table, or an in-memory list
+// when Supabase isn't configured). Knowledge base answers keep per-entry
+// totals that nudge search ranking: well rated entries move up, poorly rated
+// ones down. Answers are identified by a short random id shown to the user.
+class AnswerFeedback {
+  constructor(knowledgeBase) {
+    this.knowledgeBase = knowledgeBase;
+    this.enabled = process.env.FEEDBACK_ENABLED !== 'false';
+    // How far feedback can move a match in the ranking (scores are 0-1)
+    const rankWeight = parseFloat(process.env.FEEDBACK_RANK_WEIGHT);
+    this.rankWeight = Number.isNaN(rankWeight) ? 0.15 : rankWeight;
+    this.reviewMinVotes = parseInt(process.env.FEEDBACK_REVIEW_MIN_VOTES) || 2;
+    this.memorySize = parseInt(process.env.FEEDBACK_MEMORY_SIZE) || 1000;
+    // Votes that count as "no opinion yet", so one 👎 doesn't bury an entry
+    this.smoothing = 2;
+    this.totals = new Map();
+    this.totalsLoadedAt = 0;
+    this.totalsLoading = null;
+    this.rows = [];
+  }
+
+  get persistent() {
+    return this.knowledgeBase.isAvailable;
+  }
+
+  newAnswerId() {
+    return crypto.randomBytes(3).toString('hex');
+  }
+
+  // Per-entry { up, down }, reloaded as often as the search index
+  async ensureTotals() {
+    if (!this.persistent) return;
+    if (Date.now() - this.totalsLoadedAt < this.knowledgeBase.indexRefreshMs) return;
+    
+    if (!this.totalsLoading) {
+      this.totalsLoading = this.loadTotals().finally(() => {
+        this.totalsLoading = null;
+      });
+    }
+    await this.totalsLoading;
+  }
+
+  // PostgREST caps each response (1000 rows by default), so rows are read in pages
+  async loadPages(build, { limit = Infinity, batchSize = 1000 } = {}) {
+    const rows = [];
+    for (let start = 0; start < limit; start += batchSize) {
+      const end = Math.min(start + batchSize, limit) - 1;
+      const { data } = await this.knowledgeBase.query(() => build().range(start, end));
+      
+      rows.push(...(data || []));
+      if (!data || data.length < end - start + 1) break;
+    }
+    
+    return rows;
+  }
+
+  async loadTotals() {
+    try {
+      const rows = await this.loadPages(() => this.knowledgeBase.supabase
+        .from('answer_feedback')
+        .select('knowledge_id, rating')
+        .eq('source', 'knowledge_base')
+        .order('id', { ascending: true }));
+      
+      this.totals = new Map();
+      for (const row of rows) {
+        this.adjustTotals(row.knowledge_id, row.rating, 1);
+      }
+      this.totalsLoadedAt = Date.now();
+    } catch (error) {
+      // Ranking just ignores feedback until the next try
+      console.error('Feedback totals load error:', error.message);
+      this.totalsLoadedAt = Date.now();
+    }
+  }
+
+  adjustTotals(knowledgeId, rating, direction) {
+    if (knowledgeId === null || knowledgeId === undefined || !rating) return;
+    
+    const key = String(knowledgeId);
+    const totals = this.totals.get(key) || { up: 0, down: 0 };
+    if (rating > 0) totals.up += direction;
+    else totals.down += direction;
+    this.totals.set(key, totals);
+  }
+
+  // -1 (all 👎) to 1 (all 👍), pulled towards 0 while there are few votes
+  helpfulness({ up, down }) {
+    return (up - down) / (up + down + this.smoothing);
+  }
+
+  // Re-orders search matches by score plus a feedback bonus or penalty.
+  // score stays the similarity the match was found with, so votes change
+  // which match wins but never how far it's trusted.
+  async rank(matches) {
+    if (!this.enabled || matches.length === 0) return matches;
+    await this.ensureTotals();
+    
+    return matches
+      .map(match => {
+        const totals = this.totals.get(String(match.id));
+        if (!totals) return { match, rankScore: match.score };
+        return {
+          match: { ...match, feedback: { ...totals } },
+          rankScore: match.score + this.rankWeight * this.helpfulness(totals)
+        };
+      })
+      .sort((a, b) => b.rankScore - a.rankScore)
+      .map(ranked => ranked.match);
+  }
+
+  // One vote per user per answer: rating again replaces the earlier vote.
+  // answer is { id, source, knowledgeId, question, answer }; previousRating
+  // is the user's earlier vote on it, if any.
+  async record(userId, answer, { rating, correction = null, previousRating = null }) {
+    const row = {
+      answer_id: answer.id,
+      user_id: userId,
+      rating,
+      correction,
+      source: answer.source,
+      knowledge_id: answer.knowledgeId !== null && answer.knowledgeId !== undefined ? String(answer.knowledgeId) : null,
+      question: answer.question,
+      answer: answer.answer,
+      updated_at: new Date().toISOString()
+    };
+    
+    if (answer.source === 'knowledge_base') {
+      await this.ensureTotals();
+      this.adjustTotals(row.knowledge_id, previousRating, -1);
+      this.adjustTotals(row.knowledge_id, rating, 1);
+    }
+    
+    if (this.persistent) {
+      await this.knowledgeBase.query(() => this.knowledgeBase.supabase
+        .from('answer_feedback')
+        .upsert([row], { onConflict: 'answer_id,user_id' }));
+    } else {
+      this.rows = this.rows.filter(existing => !(existing.answer_id === row.answer_id && existing.user_id === userId));
+      this.rows.push({ ...row, created_at: row.updated_at });
+      this.rows = this.rows.slice(-this.memorySize);
+    }
+    
+    console.log(`${rating > 0 ? '👍' : '👎'} Feedback on ${answer.source} answer ${answer.id}${row.knowledge_id ? ` (#${row.knowledge_id})` : ''}`);
+    return row;
+  }
+
+  async loadRows(limit) {
+    if (!this.persistent) {
+      return [...this.rows].reverse().slice(0, limit);
+    }
+    
+    return this.loadPages(() => this.knowledgeBase.supabase
+      .from('answer_feedback')
+      .select('answer_id, rating, correction, source, knowledge_id, question, answer, updated_at')
+      .order('updated_at', { ascending: false })
+      .order('id', { ascending: false }), { limit });
+  }
+
+  // Poorly rated knowledge entries (more 👎 than 👍, with at least
+  // reviewMinVotes votes) worst first, plus AI answers marked 👎 or wrong
+  async getReviewReport({ limit = 20, scan = 5000 } = {}) {
+    const rows = await this.loadRows(scan);
+    const entries = new Map();
+    const aiAnswers = [];
+    
+    for (const row of rows) {
+      if (row.source === 'knowledge_base' && row.knowledge_id !== null) {
+        const entry = entries.get(row.knowledge_id) || {
+          knowledgeId: row.knowledge_id,
+          question: row.question,
+          up: 0,
+          down: 0,
+          corrections: []
+        };
+        if (row.rating > 0) entry.up++;
+        else entry.down++;
+        if (row.correction) {
+          entry.corrections.push({ correction: row.correction, at: row.updated_at });
+        }
+        entries.set(row.knowledge_id, entry);
+      } else if (row.source === 'ai' && row.rating < 0) {
+        aiAnswers.push({
+          answerId: row.answer_id,
+          question: row.question,
+          answer: row.answer,
+          correction: row.correction,
+          at: row.updated_at
+        });
+      }
+    }
+    
+    const poorlyRated = [...entries.values()]
+      .filter(entry => entry.up + entry.down >= this.reviewMinVotes && entry.down > entry.up)
+      .map(entry => ({
+        ...entry,
+        knowledgeId: this.knowledgeBase.normalizeId(entry.knowledgeId),
+        helpfulness: Math.round(this.helpfulness(entry) * 100) / 100
+      }))
+      .sort((a, b) => a.helpfulness - b.helpfulness || b.down - a.down)
+      .slice(0, limit);
+    
+    return {
+      entries: poorlyRated,
+      aiAnswers: aiAnswers.slice(0, limit),
+      minVotes: this.reviewMinVotes,
+      scanned: rows.length
+    };
+  }
+}
+
+module.exports = AnswerFeedback;
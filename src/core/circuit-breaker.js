@@ -0,0 +1,70 @@
+// Classic three-state breaker for one external dependency.
+// closed: calls go through. open: calls fail fast until resetTimeoutMs passes.
+// half_open: one trial call decides whether to close again or re-open.
+class CircuitBreaker {
+  constructor(name, { failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+  }
+
+  canRequest(now = Date.now()) {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open' && now - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`✅ ${this.name} recovered - circuit closed`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error, now = Date.now()) {
+    this.failures++;
+    this.lastError = error?.message || String(error);
+    this.trialInFlight = false;
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`🔌 ${this.name} circuit opened after ${this.failures} failure(s): ${this.lastError}`);
+      }
+      this.state = 'open';
+      this.openedAt = now;
+    }
+  }
+
+  getState(now = Date.now()) {
+    return {
+      state: this.state,
+      failures: this.failures,
+      lastError: this.lastError,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+      // Seconds until an open breaker lets a trial call through
+      retryInSeconds: this.state === 'open'
+        ? Math.max(0, Math.ceil((this.openedAt + this.resetTimeoutMs - now) / 1000))
+        : 0
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,87 @@
+// Rolling per-session chat history for AI calls. Turns live on the session as
+// { role, content }; when they outgrow the token budget the oldest ones are
+// folded into a running summary (or simply dropped if no AI is available).
+// Summaries are AI calls, so they count against the user's daily AI quota;
+// once it's used up the oldest turns are dropped without a summary.
+class ConversationMemory {
+  constructor(ai, safetyManager = null) {
+    this.ai = ai;
+    this.safetyManager = safetyManager;
+    this.tokenBudget = parseInt(process.env.CHAT_HISTORY_TOKENS) || 1500;
+    this.summarize = process.env.CHAT_SUMMARY_ENABLED !== 'false';
+    this.maxTurnChars = 2000;
+  }
+
+  // Rough but dependency-free: ~4 characters per token for English text
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  getHistory(session) {
+    const messages = [];
+    
+    if (session.chatSummary) {
+      messages.push({ role: 'system', content: `Summary of the earlier conversation: ${session.chatSummary}` });
+    }
+    
+    return messages.concat(session.chatHistory || []);
+  }
+
+  // The previous user question helps retrieval for follow-ups like "and the second one?"
+  getLastQuestion(session) {
+    const history = session.chatHistory || [];
+    const lastUser = [...history].reverse().find(turn => turn.role === 'user');
+    return lastUser ? lastUser.content : null;
+  }
+
+  async addTurn(session, question, answer, userId = null) {
+    if (!session.chatHistory) {
+      session.chatHistory = [];
+    }
+    
+    session.chatHistory.push(
+      { role: 'user', content: question.substring(0, this.maxTurnChars) },
+      { role: 'assistant', content: answer.substring(0, this.maxTurnChars) }
+    );
+    
+    await this.trim(session, userId);
+  }
+
+  async trim(session, userId = null) {
+    const dropped = [];
+    const total = () => this.estimateTokens(session.chatSummary) +
+      session.chatHistory.reduce((sum, turn) => sum + this.estimateTokens(turn.content), 0);
+    
+    // Drop whole question/answer pairs, but always keep the latest one
+    while (total() > this.tokenBudget && session.chatHistory.length > 2) {
+      dropped.push(...session.chatHistory.splice(0, 2));
+    }
+    
+    if (dropped.length === 0 || !this.summarize || !this.ai.aiEnabled) return;
+    if (this.safetyManager && !this.safetyManager.checkLimit(userId, 'ai').allowed) return;
+    
+    const transcript = dropped
+      .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`)
+      .join('\n');
+    
+    const summary = await this.ai.queryAI(
+      `Summarize this conversation in at most 4 sentences. Keep names, numbers, decisions and open questions.\n\n` +
+      (session.chatSummary ? `Earlier summary: ${session.chatSummary}\n\n` : '') +
+      `${transcript}\n\nSummary:`,
+      null,
+      { maxTokens: 200, temperature: 0.2 }
+    );
+    
+    if (summary) {
+      this.safetyManager?.recordUsage(userId, 'ai');
+      session.chatSummary = summary.substring(0, this.tokenBudget * 2);
+    }
+  }
+
+  reset(session) {
+    delete session.chatHistory;
+    delete session.chatSummary;
+  }
+}
+
+module.exports = ConversationMemory;
@@ -0,0 +1,93 @@
+// Per-user library of processed documents, kept on the session (SessionManager
+// persists their text and chunks apart from the rest of it).
+// Documents are numbered 1..n in upload order when shown to the user.
+class DocumentLibrary {
+  constructor() {
+    this.maxDocuments = parseInt(process.env.MAX_DOCUMENTS_PER_USER) || 10;
+  }
+
+  list(session) {
+    return session.documents || [];
+  }
+
+  add(session, { filename, fileType, text, chunks, info }) {
+    if (!session.documents) {
+      session.documents = [];
+    }
+    
+    const document = {
+      id: `doc_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+      filename: filename,
+      fileType: fileType,
+      numPages: info?.numPages || null,
+      uploadedAt: new Date().toISOString(),
+      text: text,
+      chunks: chunks
+    };
+    
+    session.documents.push(document);
+    
+    // Oldest documents make room for new ones
+    const evicted = [];
+    while (session.documents.length > this.maxDocuments) {
+      evicted.push(session.documents.shift());
+    }
+    
+    session.activeDocumentId = document.id;
+    session.documentScope = 'active';
+    
+    return { document, evicted };
+  }
+
+  getActive(session) {
+    const documents = this.list(session);
+    return documents.find(doc => doc.id === session.activeDocumentId) || null;
+  }
+
+  getByNumber(session, number) {
+    return this.list(session)[number - 1] || null;
+  }
+
+  select(session, number) {
+    const document = this.getByNumber(session, number);
+    if (document) {
+      session.activeDocumentId = document.id;
+      session.documentScope = 'active';
+    }
+    return document;
+  }
+
+  remove(session, number) {
+    const document = this.getByNumber(session, number);
+    if (!document) return null;
+    
+    session.documents = this.list(session).filter(doc => doc.id !== document.id);
+    
+    // Fall back to the most recent remaining document
+    if (session.activeDocumentId === document.id) {
+      const latest = session.documents[session.documents.length - 1];
+      session.activeDocumentId = latest ? latest.id : null;
+    }
+    
+    return document;
+  }
+
+  // Chunks to search for a question: the active document, or the whole library
+  getSearchChunks(session) {
+    if (session.documentScope === 'all') {
+      return this.list(session).flatMap(doc =>
+        (doc.chunks || []).map(chunk => ({ ...chunk, documentId: doc.id, filename: doc.filename }))
+      );
+    }
+    
+    return this.getActive(session)?.chunks || [];
+  }
+
+  describe(document, number) {
+    const date = new Date(document.uploadedAt).toISOString().split('T')[0];
+    const pages = document.numPages ? `${document.numPages} pages` : document.fileType.toUpperCase();
+    return `${number}. ${document.filename} (${pages}, ${date})`;
+  }
+}
+
+module.exports = DocumentLibrary;
@@ -1,89 +1,120 @@
-const { PdfReader } = require("pdfreader");
 const axios = require('axios');
+const path = require('path');
+const EmbeddingService = require('./embedding-service');
+const VectorIndex = require('./vector-index');
+const ExtractorRegistry = require('./extractors/extractor-registry');
+const PdfExtractor = require('./extractors/pdf-extractor');
+const TextExtractor = require('./extractors/text-extractor');
+const DocxExtractor = require('./extractors/docx-extractor');
+const MarkdownExtractor = require('./extractors/markdown-extractor');
+const HtmlExtractor = require('./extractors/html-extractor');
+const CsvExtractor = require('./extractors/csv-extractor');
+const XlsxExtractor = require('./extractors/xlsx-extractor');
+const ImageExtractor = require('./extractors/image-extractor');
+const OcrProcessor = require('./ocr-processor');
 
 class DocumentProcessor {
   constructor() {
     this.maxFileSize = parseInt(process.env.MAX_FILE_SIZE_MB) * 1024 * 1024 || 10 * 1024 * 1024;
+    this.chunkSize = parseInt(process.env.DOC_CHUNK_SIZE) || 1000;
+    this.chunkOverlap = parseInt(process.env.DOC_CHUNK_OVERLAP) || 200;
+    this.topK = parseInt(process.env.DOC_TOP_K) || 4;
+    this.embeddings = new EmbeddingService();
+    this.ocr = new OcrProcessor();
+    
+    this.extractors = new ExtractorRegistry()
+      .register(new PdfExtractor(this.ocr))
+      .register(new TextExtractor())
+      .register(new DocxExtractor())
+      .register(new MarkdownExtractor())
+      .register(new HtmlExtractor())
+      .register(new CsvExtractor())
+      .register(new XlsxExtractor())
+      .register(new ImageExtractor(this.ocr));
   }
 
-  async extractTextFromPDF(buffer) {
-    return new Promise((resolve, reject) => {
-      const textByPage = {};
-      let pageCount = 0;
-      let fullText = '';
-      
-      const reader = new PdfReader();
-      
-      reader.parseBuffer(buffer, (err, item) => {
-        if (err) {
-          reject(new Error(`PDF parsing error: ${err.message}`));
-        } else if (!item) {
-          const pages = Object.keys(textByPage).sort((a, b) => parseInt(a) - parseInt(b));
-          pages.forEach(pageNum => {
-            fullText += `Page ${pageNum}: ${textByPage[pageNum]}\n\n`;
-          });
-          
-          resolve({
-            text: fullText.trim(),
-            numPages: pageCount
-          });
-        } else if (item.page) {
-          pageCount = Math.max(pageCount, item.page);
-          
-          if (!textByPage[item.page]) {
-            textByPage[item.page] = '';
-          }
-          
-          if (item.text) {
-            textByPage[item.page] += item.text + ' ';
-          }
-        }
-      });
+  isSupported(mimeType) {
+    return this.extractors.isSupported(mimeType);
+  }
+
+  describeSupportedTypes() {
+    return this.extractors.describe();
+  }
+
+  // Downloads an upload, keeping the original filename when Twilio sends one
+  async fetchFile(url, fileName = 'document') {
+    const response = await axios({
+      url,
+      method: 'GET',
+      responseType: 'arraybuffer',
+      timeout: 30000,
+      maxContentLength: this.maxFileSize
     });
+    
+    const buffer = Buffer.from(response.data);
+    
+    // Twilio passes the original filename through for documents
+    const disposition = response.headers?.['content-disposition'] || '';
+    const originalName = disposition.match(/filename\*=UTF-8''([^;]+)|filename="?([^";]+)"?/i);
+    if (originalName) {
+      fileName = originalName[1] ? decodeURIComponent(originalName[1]) : originalName[2];
+    }
+    
+    // Check file size
+    if (buffer.length > this.maxFileSize) {
+      throw new Error(`File too large: ${(buffer.length / 1024 / 1024).toFixed(1)}MB. Maximum: ${this.maxFileSize / 1024 / 1024}MB`);
+    }
+    
+    return { buffer, fileName };
   }
 
-  async processDocument(url, fileType, fileName = 'document') {
+  async processDocument(url, mimeType, fileName = 'document') {
     try {
-      // Download file
-      const response = await axios({
-        url,
-        method: 'GET',
-        responseType: 'arraybuffer',
-        timeout: 30000,
-        maxContentLength: this.maxFileSize
-      });
+      const file = await this.fetchFile(url, fileName);
+      const buffer = file.buffer;
+      fileName = file.fileName;
+      
+      const extractor = this.extractors.resolve(mimeType, fileName);
+      if (!extractor) {
+        throw new Error(`Unsupported file type: ${mimeType}. I support ${this.describeSupportedTypes()} files.`);
+      }
       
-      const buffer = Buffer.from(response.data);
+      if (!path.extname(fileName)) {
+        const subtype = this.extractors.normalizeMimeType(mimeType).split('/')[1];
+        fileName = `${fileName}.${extractor.extensions.includes(subtype) ? subtype : extractor.name}`;
+      }
       
-      // Check file size
-      if (buffer.length > this.maxFileSize) {
-        throw new Error(`File too large: ${(buffer.length / 1024 / 1024).toFixed(1)}MB. Maximum: ${this.maxFileSize / 1024 / 1024}MB`);
+      const extracted = await extractor.extract(buffer);
+      const documentInfo = {};
+      if (extracted.numPages) {
+        documentInfo.numPages = extracted.numPages;
       }
       
-      let extractedText = '';
-      let documentInfo = {};
+      // Clean text page by page so every chunk knows where it came from.
+      // page is null for formats without pages - those answers carry no citations
+      const pages = extracted.pages
+        .map(page => ({ page: page.page, section: page.section || null, text: page.text.replace(/\s+/g, ' ').trim() }))
+        .filter(page => page.text);
       
-      if (fileType === 'pdf') {
-        const pdfData = await this.extractTextFromPDF(buffer);
-        extractedText = pdfData.text;
-        documentInfo.numPages = pdfData.numPages;
-      } else if (fileType === 'txt') {
-        extractedText = buffer.toString('utf-8');
-      } else {
-        throw new Error(`Unsupported file type: ${fileType}. I support PDF and TXT files.`);
+      const extractedText = extracted.pages.map(page => page.text).join('\n\n');
+      const cleanedText = pages.map(page => page.text).join(' ');
+      const warnings = extracted.warnings || [];
+      
+      if (!cleanedText) {
+        throw new Error(['No readable text found in this document.', ...warnings].join(' '));
       }
       
-      // Clean and truncate text
-      const cleanedText = extractedText
-        .replace(/\s+/g, ' ')
-        .trim()
-        .substring(0, 5000); // Limit for processing
+      const chunks = await this.indexDocument(pages);
       
       return {
         text: cleanedText,
+        fileName: fileName,
+        fileType: extractor.name,
         originalLength: extractedText.length,
         info: documentInfo,
-        wasTruncated: cleanedText.length < extractedText.length
+        chunks: chunks,
+        ocrPages: extracted.ocrPages || 0,
+        warnings: warnings
       };
     } catch (error) {
       console.error('Document processing error:', error.message);
@@ -91,6 +122,168 @@ class DocumentProcessor {
     }
   }
 
+  chunkText(text, chunkSize = this.chunkSize, overlap = this.chunkOverlap) {
+    const chunks = [];
+    let start = 0;
+    
+    while (start < text.length) {
+      let end = Math.min(start + chunkSize, text.length);
+      
+      // Prefer ending on a sentence, then on a word, within the last third of the chunk
+      if (end < text.length) {
+        const window = text.substring(start + Math.floor(chunkSize * 2 / 3), end);
+        const sentenceEnd = window.search(/[.!?]\s[^.!?]*$/);
+        const wordEnd = window.lastIndexOf(' ');
+        const offset = sentenceEnd >= 0 ? sentenceEnd + 1 : wordEnd;
+        if (offset > 0) {
+          end = start + Math.floor(chunkSize * 2 / 3) + offset;
+        }
+      }
+      
+      const chunk = text.substring(start, end).trim();
+      if (chunk) chunks.push(chunk);
+      
+      if (end >= text.length) break;
+      // Step back for the overlap, but start the next chunk on a word boundary
+      let next = Math.max(end - overlap, start + 1);
+      const space = text.indexOf(' ', next);
+      if (space > next && space < end) next = space + 1;
+      start = next;
+    }
+    
+    return chunks;
+  }
+
+  async indexDocument(pages) {
+    const chunks = pages
+      .flatMap(page => this.chunkText(page.text).map(chunkText => ({ page: page.page, section: page.section, text: chunkText })))
+      .map((chunk, index) => ({
+        index,
+        page: chunk.page,
+        section: chunk.section || null,
+        text: chunk.text,
+        embedding: null
+      }));
+    
+    try {
+      const vectors = await this.embeddings.embedBatch(chunks.map(chunk => chunk.text));
+      chunks.forEach((chunk, i) => {
+        chunk.embedding = vectors[i];
+      });
+    } catch (error) {
+      // Retrieval falls back to keyword matching without embeddings
+      console.error('Document embedding error:', error.message);
+    }
+    
+    return chunks;
+  }
+
+  async retrieveChunks(chunks, question, topK = this.topK) {
+    if (!chunks || chunks.length === 0) return [];
+    if (chunks.length <= topK) return chunks;
+    
+    let ranked = null;
+    
+    if (chunks.every(chunk => chunk.embedding)) {
+      try {
+        const queryVector = await this.embeddings.embed(question);
+        const index = new VectorIndex();
+        chunks.forEach((chunk, position) => index.add(position, chunk.embedding, chunk));
+        ranked = index.search(queryVector, { topK }).map(result => result.payload);
+      } catch (error) {
+        console.error('Question embedding error:', error.message);
+      }
+    }
+    
+    if (!ranked) {
+      ranked = this.rankChunksByKeywords(chunks, question, topK);
+    }
+    
+    // Present the retrieved chunks in document order (library searches: grouped per document)
+    return ranked.sort((a, b) =>
+      (a.documentId || '').localeCompare(b.documentId || '') || a.index - b.index
+    );
+  }
+
+  rankChunksByKeywords(chunks, question, topK) {
+    const terms = question.toLowerCase().match(/\p{L}{3,}|\p{N}+/gu) || [];
+    
+    return chunks
+      .map(chunk => {
+        const text = chunk.text.toLowerCase();
+        const score = terms.reduce((total, term) => total + (text.includes(term) ? 1 : 0), 0);
+        return { chunk, score };
+      })
+      .sort((a, b) => b.score - a.score || a.chunk.index - b.chunk.index)
+      .slice(0, topK)
+      .map(result => result.chunk);
+  }
+
+  // Page-labelled excerpts for the model, plus the pages they cover for citations.
+  // Chunks from a library-wide search also carry their filename.
+  buildContext(chunks, maxChars = 4000) {
+    const parts = [];
+    const pages = new Set();
+    const sources = new Map();
+    let length = 0;
+    
+    for (const chunk of chunks) {
+      if (length > 0 && length + chunk.text.length > maxChars) break;
+      
+      const labels = [chunk.filename, chunk.section, chunk.page ? `p. ${chunk.page}` : null].filter(Boolean);
+      parts.push(labels.length > 0 ? `[${labels.join(' ')}] ${chunk.text}` : chunk.text);
+      
+      if (chunk.page) pages.add(chunk.page);
+      if (chunk.filename) {
+        if (!sources.has(chunk.filename)) sources.set(chunk.filename, new Set());
+        if (chunk.page) sources.get(chunk.filename).add(chunk.page);
+      }
+      length += chunk.text.length;
+    }
+    
+    return {
+      context: parts.join('\n\n---\n\n'),
+      pages: [...pages].sort((a, b) => a - b),
+      sources: [...sources.entries()].map(([filename, sourcePages]) => ({
+        filename,
+        pages: [...sourcePages].sort((a, b) => a - b)
+      }))
+    };
+  }
+
+  // The model is asked to finish with a "Pages: 4, 7" line; only pages we actually
+  // gave it are trusted, otherwise every page in the context is cited
+  extractCitedPages(answer, contextPages) {
+    const match = answer.match(/\n?\s*\bpages?\s*(used)?\s*:\s*([^\n]*)\s*$/i);
+    if (!match) {
+      return { answer: answer.trim(), pages: contextPages };
+    }
+    
+    const cited = (match[2].match(/\d+/g) || [])
+      .map(num => parseInt(num))
+      .filter(page => contextPages.includes(page));
+    
+    return {
+      answer: answer.substring(0, match.index).trim(),
+      pages: cited.length > 0 ? [...new Set(cited)].sort((a, b) => a - b) : contextPages
+    };
+  }
+
+  formatCitations(pages) {
+    if (!pages || pages.length === 0) return '';
+    return `(${pages.map(page => `p. ${page}`).join(', ')})`;
+  }
+
+  formatSourceCitations(sources) {
+    if (!sources || sources.length === 0) return '';
+    
+    const parts = sources.map(source => {
+      const pages = source.pages.map(page => `p. ${page}`).join(', ');
+      return pages ? `${source.filename} ${pages}` : source.filename;
+    });
+    return `(${parts.join('; ')})`;
+  }
+
   async downloadDocument(url) {
     try {
       const response = await axios({
@@ -0,0 +1,58 @@
+// Loaded pipelines are shared by every EmbeddingService instance using the same model
+const loadedModels = new Map();
+
+class EmbeddingService {
+  constructor() {
+    this.enabled = process.env.EMBEDDINGS_ENABLED !== 'false';
+    this.modelName = process.env.EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2';
+    this.batchSize = parseInt(process.env.EMBEDDING_BATCH_SIZE) || 16;
+  }
+
+  async loadModel() {
+    if (!loadedModels.has(this.modelName)) {
+      console.log(`🧮 Loading embedding model (${this.modelName})...`);
+      
+      // @xenova/transformers is ESM-only
+      const loading = import('@xenova/transformers')
+        .then(({ pipeline }) => pipeline('feature-extraction', this.modelName))
+        .then(extractor => {
+          console.log('✅ Embedding model ready');
+          return extractor;
+        })
+        .catch(error => {
+          // Forget the failed attempt so the next call can retry
+          loadedModels.delete(this.modelName);
+          throw error;
+        });
+      
+      loadedModels.set(this.modelName, loading);
+    }
+    
+    return loadedModels.get(this.modelName);
+  }
+
+  async embed(text) {
+    const [vector] = await this.embedBatch([text]);
+    return vector;
+  }
+
+  async embedBatch(texts) {
+    if (!this.enabled) {
+      throw new Error('Embeddings are disabled. Set EMBEDDINGS_ENABLED=true to enable.');
+    }
+    
+    const extractor = await this.loadModel();
+    const vectors = [];
+    
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize);
+      const output = await extractor(batch, { pooling: 'mean', normalize: true });
+      // Plain arrays so vectors survive JSON (sessions, Supabase rows)
+      vectors.push(...output.tolist());
+    }
+    
+    return vectors;
+  }
+}
+
+module.exports = EmbeddingService;
@@ -0,0 +1,25 @@
+const { parse } = require('csv-parse/sync');
+const { rowsToText } = require('./table-text');
+
+class CsvExtractor {
+  constructor() {
+    this.name = 'csv';
+    this.label = 'CSV';
+    this.mimeTypes = ['text/csv', 'application/csv', 'text/comma-separated-values'];
+    this.extensions = ['csv'];
+  }
+
+  async extract(buffer) {
+    // Empty lines are kept so rowsToText numbers rows as a spreadsheet app does
+    const rows = parse(buffer.toString('utf-8'), {
+      bom: true,
+      relax_column_count: true
+    });
+    
+    return {
+      pages: [{ page: null, text: rowsToText(rows) }]
+    };
+  }
+}
+
+module.exports = CsvExtractor;
@@ -0,0 +1,25 @@
+const mammoth = require('mammoth');
+
+class DocxExtractor {
+  constructor() {
+    this.name = 'docx';
+    this.label = 'DOCX';
+    this.mimeTypes = ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
+    this.extensions = ['docx'];
+  }
+
+  async extract(buffer) {
+    const result = await mammoth.extractRawText({ buffer });
+    
+    if (result.messages.length > 0) {
+      console.warn(`DOCX extraction warnings: ${result.messages.map(message => message.message).join('; ')}`);
+    }
+    
+    // Word files have no fixed pages, so answers from them carry no page citations
+    return {
+      pages: [{ page: null, text: result.value }]
+    };
+  }
+}
+
+module.exports = DocxExtractor;
@@ -0,0 +1,42 @@
+const path = require('path');
+
+// Maps MIME types (and, as a fallback, file extensions) to text extractors.
+// An extractor has { name, label, mimeTypes, extensions, extract(buffer) } where
+// extract() resolves to { pages: [{ page, section, text }], numPages }.
+class ExtractorRegistry {
+  constructor() {
+    this.extractors = [];
+    this.byMimeType = new Map();
+    this.byExtension = new Map();
+  }
+
+  register(extractor) {
+    this.extractors.push(extractor);
+    extractor.mimeTypes.forEach(mimeType => this.byMimeType.set(mimeType, extractor));
+    extractor.extensions.forEach(extension => this.byExtension.set(extension, extractor));
+    return this;
+  }
+
+  normalizeMimeType(mimeType) {
+    return (mimeType || '').split(';')[0].trim().toLowerCase();
+  }
+
+  isSupported(mimeType) {
+    return this.byMimeType.has(this.normalizeMimeType(mimeType));
+  }
+
+  // Some clients send documents as application/octet-stream; the filename decides then
+  resolve(mimeType, fileName = '') {
+    const byType = this.byMimeType.get(this.normalizeMimeType(mimeType));
+    if (byType) return byType;
+    
+    const extension = path.extname(fileName).replace('.', '').toLowerCase();
+    return this.byExtension.get(extension) || null;
+  }
+
+  describe() {
+    return this.extractors.map(extractor => extractor.label).join(', ');
+  }
+}
+
+module.exports = ExtractorRegistry;
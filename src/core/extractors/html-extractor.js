@@ -0,0 +1,30 @@
+const { convert } = require('html-to-text');
+
+class HtmlExtractor {
+  constructor() {
+    this.name = 'html';
+    this.label = 'HTML';
+    this.mimeTypes = ['text/html', 'application/xhtml+xml'];
+    this.extensions = ['html', 'htm', 'xhtml'];
+  }
+
+  async extract(buffer) {
+    const text = convert(buffer.toString('utf-8'), {
+      wordwrap: false,
+      selectors: [
+        { selector: 'a', options: { ignoreHref: true } },
+        { selector: 'img', format: 'skip' },
+        { selector: 'h1', options: { uppercase: false } },
+        { selector: 'h2', options: { uppercase: false } },
+        { selector: 'h3', options: { uppercase: false } },
+        { selector: 'table', options: { uppercaseHeaderCells: false } }
+      ]
+    });
+    
+    return {
+      pages: [{ page: null, text }]
+    };
+  }
+}
+
+module.exports = HtmlExtractor;
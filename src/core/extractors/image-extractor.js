@@ -0,0 +1,24 @@
+class ImageExtractor {
+  constructor(ocr) {
+    this.name = 'image';
+    this.label = 'Images (OCR)';
+    this.mimeTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/bmp', 'image/tiff'];
+    this.extensions = ['jpg', 'jpeg', 'png', 'webp', 'bmp', 'tif', 'tiff'];
+    this.ocr = ocr;
+  }
+
+  async extract(buffer) {
+    if (!this.ocr.enabled) {
+      throw new Error('Reading text from images is disabled (OCR_ENABLED=false).');
+    }
+    
+    const { text } = await this.ocr.recognize(buffer);
+    
+    return {
+      pages: [{ page: null, text }],
+      ocrPages: 1
+    };
+  }
+}
+
+module.exports = ImageExtractor;
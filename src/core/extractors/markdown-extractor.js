@@ -0,0 +1,24 @@
+class MarkdownExtractor {
+  constructor() {
+    this.name = 'md';
+    this.label = 'Markdown';
+    this.mimeTypes = ['text/markdown', 'text/x-markdown'];
+    this.extensions = ['md', 'markdown'];
+  }
+
+  async extract(buffer) {
+    const text = buffer.toString('utf-8')
+      .replace(/```[^\n]*\n/g, '') // Keep code, drop the fences
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // Images -> alt text
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // Links -> link text
+      .replace(/^#{1,6}\s+(.*)$/gm, '$1.') // Headings end a "sentence" for chunking
+      .replace(/^\s*>\s?/gm, '')
+      .replace(/(\*\*|__|~~|`)/g, '');
+    
+    return {
+      pages: [{ page: null, text }]
+    };
+  }
+}
+
+module.exports = MarkdownExtractor;
@@ -0,0 +1,95 @@
+const { PdfReader } = require('pdfreader');
+
+class PdfExtractor {
+  constructor(ocr = null) {
+    this.name = 'pdf';
+    this.label = 'PDF';
+    this.mimeTypes = ['application/pdf'];
+    this.extensions = ['pdf'];
+    this.ocr = ocr;
+  }
+
+  async extract(buffer) {
+    const result = await this.extractTextLayer(buffer);
+    
+    if (this.ocr) {
+      await this.ocrScannedPages(buffer, result);
+    }
+    
+    return result;
+  }
+
+  // Pages without a text layer (scans, photos saved as PDF) are rendered and OCR'd
+  async ocrScannedPages(buffer, result) {
+    const scanned = result.pages.filter(page => this.ocr.needsOcr(page.text));
+    if (scanned.length === 0) return;
+    
+    result.warnings = result.warnings || [];
+    
+    if (!this.ocr.enabled) {
+      result.warnings.push(`${scanned.length} page(s) have no text layer (scanned?) and OCR is disabled.`);
+      return;
+    }
+    if (this.ocr.canRenderPdf === false) {
+      result.warnings.push(`${scanned.length} page(s) have no text layer (scanned?) and can't be OCR'd - pdftoppm (poppler-utils) isn't installed.`);
+      return;
+    }
+    
+    const toRead = scanned.slice(0, this.ocr.maxPdfPages);
+    if (scanned.length > toRead.length) {
+      result.warnings.push(`Only the first ${toRead.length} of ${scanned.length} scanned pages were read with OCR.`);
+    }
+    
+    try {
+      const images = await this.ocr.renderPdfPages(buffer, toRead.map(page => page.page));
+      
+      for (const page of toRead) {
+        const { text } = await this.ocr.recognize(images.get(page.page));
+        page.text = text;
+      }
+      result.ocrPages = toRead.length;
+    } catch (error) {
+      console.error('PDF OCR error:', error.message);
+      result.warnings.push(`${scanned.length} page(s) look scanned but couldn't be read: ${error.message}`);
+    }
+  }
+
+  async extractTextLayer(buffer) {
+    return new Promise((resolve, reject) => {
+      const textByPage = {};
+      let pageCount = 0;
+      let currentPage = 0;
+      
+      const reader = new PdfReader();
+      
+      reader.parseBuffer(buffer, (err, item) => {
+        if (err) {
+          reject(new Error(`PDF parsing error: ${err.message}`));
+        } else if (!item) {
+          // Every page marker created an entry, so blank (scanned) pages are included
+          const pages = Object.keys(textByPage).sort((a, b) => parseInt(a) - parseInt(b));
+          
+          resolve({
+            numPages: pageCount,
+            pages: pages.map(pageNum => ({
+              page: parseInt(pageNum),
+              text: textByPage[pageNum]
+            }))
+          });
+        } else if (item.page) {
+          // Page markers come first; the text items that follow belong to that page
+          currentPage = item.page;
+          pageCount = Math.max(pageCount, item.page);
+          
+          if (!textByPage[item.page]) {
+            textByPage[item.page] = '';
+          }
+        } else if (item.text && currentPage) {
+          textByPage[currentPage] += item.text + ' ';
+        }
+      });
+    });
+  }
+}
+
+module.exports = PdfExtractor;
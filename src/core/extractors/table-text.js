@@ -0,0 +1,32 @@
+// Turns spreadsheet rows into sentences the model can read:
+// "Row 2: Name: Alice; Amount: 30". rows[i] is spreadsheet row i + 1, with
+// blank rows left in (or as holes) so the numbers match what the user sees.
+function rowsToText(rows) {
+  const cleaned = [];
+  rows.forEach((row, index) => {
+    const cells = (row || []).map(cell => (cell === null || cell === undefined ? '' : String(cell).trim()));
+    if (cells.some(cell => cell)) {
+      cleaned.push({ number: index + 1, cells });
+    }
+  });
+  
+  if (cleaned.length === 0) return '';
+  
+  const [header, ...body] = cleaned;
+  const columns = header.cells.map((name, i) => name || `Column ${i + 1}`);
+  
+  if (body.length === 0) {
+    return `Columns: ${columns.join(', ')}`;
+  }
+  
+  return body
+    .map(row => {
+      const cells = row.cells
+        .map((value, col) => (value ? `${columns[col] || `Column ${col + 1}`}: ${value}` : null))
+        .filter(Boolean);
+      return `Row ${row.number}: ${cells.join('; ')}`;
+    })
+    .join('\n');
+}
+
+module.exports = { rowsToText };
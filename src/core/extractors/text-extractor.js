@@ -0,0 +1,16 @@
+class TextExtractor {
+  constructor() {
+    this.name = 'txt';
+    this.label = 'TXT';
+    this.mimeTypes = ['text/plain'];
+    this.extensions = ['txt', 'text', 'log'];
+  }
+
+  async extract(buffer) {
+    return {
+      pages: [{ page: null, text: buffer.toString('utf-8') }]
+    };
+  }
+}
+
+module.exports = TextExtractor;
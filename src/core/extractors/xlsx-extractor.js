@@ -0,0 +1,47 @@
+const ExcelJS = require('exceljs');
+const { rowsToText } = require('./table-text');
+
+class XlsxExtractor {
+  constructor() {
+    this.name = 'xlsx';
+    this.label = 'XLSX';
+    this.mimeTypes = ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'];
+    this.extensions = ['xlsx'];
+  }
+
+  cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    if (typeof value !== 'object') return String(value);
+    
+    // Formulas, rich text and hyperlinks
+    if ('result' in value) return this.cellText(value.result);
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text) return String(value.text);
+    return '';
+  }
+
+  async extract(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    
+    // One "page" per sheet so the sheet name stays with its rows
+    const pages = [];
+    workbook.eachSheet(worksheet => {
+      const rows = [];
+      worksheet.eachRow({ includeEmpty: false }, row => {
+        // row.values is 1-based; empty rows stay as holes so rows keep their numbers
+        rows[row.number - 1] = Array.from(row.values.slice(1), value => this.cellText(value));
+      });
+      
+      const text = rowsToText(rows);
+      if (text) {
+        pages.push({ page: null, section: worksheet.name, text: `Sheet ${worksheet.name}:\n${text}` });
+      }
+    });
+    
+    return { pages };
+  }
+}
+
+module.exports = XlsxExtractor;
@@ -1,10 +1,28 @@
 const { createClient } = require('@supabase/supabase-js');
+const EmbeddingService = require('./embedding-service');
+const VectorIndex = require('./vector-index');
+const KnowledgeHistory = require('./knowledge-history');
 
 class KnowledgeBase {
-  constructor() {
+  constructor(safetyManager) {
     this.supabase = null;
+    this.safetyManager = safetyManager;
     this.isAvailable = false;
     
+    this.embeddings = new EmbeddingService();
+    // 'pgvector' uses the match_knowledge() RPC, 'memory' keeps an in-process index
+    this.vectorBackend = process.env.KB_VECTOR_BACKEND === 'pgvector' ? 'pgvector' : 'memory';
+    const threshold = parseFloat(process.env.KB_SIMILARITY_THRESHOLD);
+    this.similarityThreshold = Number.isNaN(threshold) ? 0.6 : threshold;
+    this.keywordMatchScore = 0.5;
+    this.indexRefreshMs = parseInt(process.env.KB_INDEX_REFRESH_MS) || 5 * 60 * 1000;
+    this.index = new VectorIndex();
+    this.indexLoadedAt = 0;
+    this.indexLoading = null;
+    // Cleared when knowledge_base has no embedding column (migration 001 not run)
+    this.hasEmbeddingColumn = true;
+    this.history = new KnowledgeHistory(this);
+    
     if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
       try {
         this.supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
@@ -18,100 +36,525 @@ class KnowledgeBase {
     }
   }
 
-  async search(query, limit = 1) {
-    if (!this.isAvailable) return null;
+  // Runs a Supabase query behind the shared retry/circuit-breaker layer.
+  // build() is called again for each attempt; Supabase reports errors in the
+  // result instead of throwing, so they're rethrown here with the HTTP status.
+  // Inserts pass idempotent: false so a retry can't add the row twice.
+  async query(build, { idempotent = true } = {}) {
+    return this.safetyManager.withResilience('supabase', async () => {
+      const result = await build();
+      if (result.error) {
+        const error = new Error(result.error.message || 'Supabase request failed');
+        error.status = result.status;
+        // Network failures come back as status 0 with the cause's code in the details
+        error.code = result.error.code || result.error.details?.match(/^Caused by: .*\((E[A-Z]+)\)$/m)?.[1];
+        throw error;
+      }
+      return result;
+    }, { idempotent });
+  }
+
+  // Returns matches best-first as { id, question, answer, score, matchType }.
+  // score is 1 for an exact question match, cosine similarity for semantic hits
+  // and a fixed low score for substring hits, so callers can decide what to trust.
+  async search(query, { limit = 1, threshold = this.similarityThreshold } = {}) {
+    if (!this.isAvailable) return [];
     
     try {
       const q = query.trim().toLowerCase();
       
       // Try exact match first
-      let { data, error } = await this.supabase
+      let { data } = await this.query(() => this.supabase
         .from('knowledge_base')
-        .select('question, answer, content')
-        .ilike('question', q)
-        .limit(limit);
+        .select('id, question, answer, content')
+        .ilike('question', this.escapeLike(q))
+        .limit(limit));
       
-      if (error) throw error;
       if (data && data.length > 0) {
-        return data[0].answer || data[0].content;
+        return data.map(row => this.toMatch(row, 1, 'exact'));
       }
       
-      // Try content match
-      ({ data, error } = await this.supabase
+      // Then nearest neighbours by meaning
+      const semantic = await this.semanticSearch(q, { limit, threshold });
+      if (semantic) {
+        return semantic;
+      }
+      
+      // Try content match (only when semantic search is unavailable)
+      ({ data } = await this.query(() => this.supabase
         .from('knowledge_base')
-        .select('answer, content')
+        .select('id, question, answer, content')
         .or(`answer.ilike.%${q}%,content.ilike.%${q}%`)
         .order('created_at', { ascending: false })
-        .limit(limit));
+        .limit(limit)));
       
-      if (error) throw error;
-      if (data && data.length > 0) {
-        return data[0].answer || data[0].content;
+      return (data || []).map(row => this.toMatch(row, this.keywordMatchScore, 'keyword'));
+    } catch (error) {
+      console.error('Knowledge base search error:', error.message);
+      return [];
+    }
+  }
+
+  // Returns null when semantic search can't run, so search() can fall back to keywords
+  async semanticSearch(query, { limit = 1, threshold = this.similarityThreshold } = {}) {
+    if (!this.embeddings.enabled) return null;
+    
+    try {
+      const queryVector = await this.embeddings.embed(query);
+      
+      if (this.vectorBackend === 'pgvector') {
+        const { data } = await this.query(() => this.supabase.rpc('match_knowledge', {
+          query_embedding: queryVector,
+          match_threshold: threshold,
+          match_count: limit
+        }));
+        
+        return (data || []).map(row => this.toMatch(row, row.similarity, 'semantic'));
       }
       
+      await this.ensureIndex();
+      return this.index
+        .search(queryVector, { topK: limit, threshold })
+        .map(result => this.toMatch(result.payload, result.score, 'semantic'));
+    } catch (error) {
+      console.error('Semantic search error:', error.message);
       return null;
+    }
+  }
+
+  toMatch(row, score, matchType) {
+    return {
+      id: row.id,
+      question: row.question,
+      answer: row.answer || row.content,
+      score: score,
+      matchType: matchType
+    };
+  }
+
+  embeddingText(question, answer) {
+    return `${question}\n${answer || ''}`.substring(0, 1000);
+  }
+
+  parseEmbedding(value) {
+    if (!value) return null;
+    // pgvector columns come back from PostgREST as '[0.1,0.2,...]' strings
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  isMissingEmbeddingColumn(error) {
+    return ['PGRST204', '42703'].includes(error.code) && /embedding/.test(error.message || '');
+  }
+
+  disableEmbeddingColumn() {
+    this.hasEmbeddingColumn = false;
+    console.warn('⚠️  knowledge_base has no embedding column - vectors are kept in memory only. Run supabase/migrations/001_knowledge_embeddings.sql to store them.');
+  }
+
+  // Saves a row together with its embedding; without the embedding column the
+  // row is saved on its own, so teaching keeps working before the migration
+  async writeEntry(build, fields, embedding, options = {}) {
+    if (this.hasEmbeddingColumn) {
+      try {
+        return await this.query(() => build({ ...fields, embedding }), options);
+      } catch (error) {
+        if (!this.isMissingEmbeddingColumn(error)) throw error;
+        this.disableEmbeddingColumn();
+      }
+    }
+    
+    return this.query(() => build(fields), options);
+  }
+
+  async ensureIndex() {
+    const isFresh = this.indexLoadedAt && Date.now() - this.indexLoadedAt < this.indexRefreshMs;
+    if (isFresh) return;
+    
+    if (!this.indexLoading) {
+      this.indexLoading = this.loadIndex().finally(() => {
+        this.indexLoading = null;
+      });
+    }
+    
+    return this.indexLoading;
+  }
+
+  async loadRows() {
+    if (this.hasEmbeddingColumn) {
+      try {
+        const { data } = await this.query(() => this.supabase
+          .from('knowledge_base')
+          .select('id, question, answer, content, embedding'));
+        return data || [];
+      } catch (error) {
+        if (!this.isMissingEmbeddingColumn(error)) throw error;
+        this.disableEmbeddingColumn();
+      }
+    }
+    
+    const { data } = await this.query(() => this.supabase
+      .from('knowledge_base')
+      .select('id, question, answer, content'));
+    return data || [];
+  }
+
+  async loadIndex() {
+    const rows = await this.loadRows();
+    
+    const index = new VectorIndex();
+    const missing = [];
+    
+    for (const row of rows) {
+      // Without a stored vector, reuse the one already in memory if the text hasn't changed
+      const cached = this.index.entries.get(row.id);
+      const vector = this.parseEmbedding(row.embedding) ||
+        (cached && cached.payload.question === row.question && cached.payload.answer === row.answer ? cached.vector : null);
+      if (vector) {
+        index.add(row.id, vector, { id: row.id, question: row.question, answer: row.answer, content: row.content });
+      } else {
+        missing.push(row);
+      }
+    }
+    
+    // Rows added before embeddings existed (or by other tools) get one now
+    if (missing.length > 0) {
+      console.log(`🧮 Embedding ${missing.length} knowledge entries without vectors...`);
+      const vectors = await this.embeddings.embedBatch(
+        missing.map(row => this.embeddingText(row.question, row.answer || row.content))
+      );
+      
+      for (const [i, row] of missing.entries()) {
+        index.add(row.id, vectors[i], { id: row.id, question: row.question, answer: row.answer, content: row.content });
+        if (this.hasEmbeddingColumn) {
+          await this.query(() => this.supabase
+            .from('knowledge_base')
+            .update({ embedding: vectors[i] })
+            .eq('id', row.id));
+        }
+      }
+    }
+    
+    this.index = index;
+    this.indexLoadedAt = Date.now();
+    console.log(`✅ Knowledge vector index loaded (${index.size} entries)`);
+  }
+
+  async computeEmbedding(question, answer) {
+    if (!this.embeddings.enabled) return null;
+    
+    try {
+      return await this.embeddings.embed(this.embeddingText(question, answer));
     } catch (error) {
-      console.error('Knowledge base search error:', error.message);
+      // The entry is still saved; loadIndex() backfills the vector later
+      console.error('Knowledge embedding error:', error.message);
       return null;
     }
   }
 
-  async addKnowledge(question, answer) {
+  // ilike pattern that only matches the text itself (% and _ are wildcards)
+  escapeLike(text) {
+    return text.replace(/[\\%_]/g, '\\$&');
+  }
+
+  // audit is { author, source } for the revision history
+  async addKnowledge(question, answer, audit = {}) {
     if (!this.isAvailable) {
       throw new Error('Knowledge base not available');
     }
     
     try {
-      const { data: existing } = await this.supabase
+      const { data: existing } = await this.query(() => this.supabase
         .from('knowledge_base')
-        .select('id')
-        .ilike('question', question)
-        .limit(1);
+        .select('id, question, answer, content, created_at, updated_at')
+        .ilike('question', this.escapeLike(question))
+        .limit(1));
       
-      let result;
-      if (existing && existing.length > 0) {
-        const { error } = await this.supabase
-          .from('knowledge_base')
-          .update({
-            answer,
-            content: answer,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', existing[0].id);
-        
-        if (error) throw error;
-        result = `Updated: "${question}"`;
-      } else {
-        const { error } = await this.supabase
-          .from('knowledge_base')
-          .insert([{
-            question,
-            answer,
-            content: answer,
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-          }]);
-        
-        if (error) throw error;
-        result = `Added: "${question}"`;
+      if (!existing || existing.length === 0) {
+        return await this.insertKnowledge(question, answer, audit);
       }
       
-      return { question, answer, result };
+      const embedding = await this.computeEmbedding(question, answer);
+      const id = existing[0].id;
+      await this.writeEntry(row => this.supabase
+        .from('knowledge_base')
+        .update(row)
+        .eq('id', id), {
+        answer,
+        content: answer,
+        updated_at: new Date().toISOString()
+      }, embedding);
+      
+      const previous = this.toEntry(existing[0]);
+      await this.history.record(id, 'update', { question: previous.question, answer }, audit, previous);
+      
+      if (embedding && this.indexLoadedAt) {
+        this.index.add(id, embedding, { id, question, answer, content: answer });
+      }
+      
+      return { id, question, answer, result: `Updated: "${question}"`, created: false };
     } catch (error) {
       console.error('Add knowledge error:', error);
       throw error;
     }
   }
 
+  // Always a new entry, even if the question is already there
+  async insertKnowledge(question, answer, audit = {}) {
+    if (!this.isAvailable) {
+      throw new Error('Knowledge base not available');
+    }
+    
+    const embedding = await this.computeEmbedding(question, answer);
+    const { data } = await this.writeEntry(row => this.supabase
+      .from('knowledge_base')
+      .insert([row])
+      .select('id'), {
+      question,
+      answer,
+      content: answer,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    }, embedding, { idempotent: false });
+    
+    const id = data?.[0]?.id;
+    if (id !== undefined) {
+      await this.history.record(id, 'create', { question, answer }, audit);
+    }
+    
+    // Keep the in-process index current without waiting for the next refresh
+    if (embedding && id !== undefined && this.indexLoadedAt) {
+      this.index.add(id, embedding, { id, question, answer, content: answer });
+    }
+    
+    return { id, question, answer, result: `Added: "${question}"`, created: true };
+  }
+
+  // Chat and URLs give ids as strings; numeric ids must stay numbers so they
+  // match the rows and the vector index
+  normalizeId(id) {
+    return /^\d+$/.test(String(id)) ? Number(id) : id;
+  }
+
+  toEntry(row) {
+    return {
+      id: row.id,
+      question: row.question,
+      answer: row.answer || row.content,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Newest first. Returns { items, total, page, pages, pageSize }.
+  async list({ page = 1, pageSize = 10 } = {}) {
+    if (!this.isAvailable) {
+      throw new Error('Knowledge base not available');
+    }
+    
+    page = Math.max(parseInt(page) || 1, 1);
+    pageSize = Math.min(Math.max(parseInt(pageSize) || 10, 1), 100);
+    const start = (page - 1) * pageSize;
+    
+    const { data, count } = await this.query(() => this.supabase
+      .from('knowledge_base')
+      .select('id, question, answer, content, created_at, updated_at', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(start, start + pageSize - 1));
+    
+    return {
+      items: (data || []).map(row => this.toEntry(row)),
+      total: count || 0,
+      page,
+      pages: Math.max(Math.ceil((count || 0) / pageSize), 1),
+      pageSize
+    };
+  }
+
+  // Every entry, oldest first, fetched in batches (imports and exports)
+  async all({ batchSize = 1000 } = {}) {
+    if (!this.isAvailable) {
+      throw new Error('Knowledge base not available');
+    }
+    
+    const entries = [];
+    for (let start = 0; ; start += batchSize) {
+      const { data } = await this.query(() => this.supabase
+        .from('knowledge_base')
+        .select('id, question, answer, content, created_at, updated_at')
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(start, start + batchSize - 1));
+      
+      entries.push(...(data || []).map(row => this.toEntry(row)));
+      if (!data || data.length < batchSize) break;
+    }
+    
+    return entries;
+  }
+
+  async get(id) {
+    if (!this.isAvailable) {
+      throw new Error('Knowledge base not available');
+    }
+    
+    const { data } = await this.query(() => this.supabase
+      .from('knowledge_base')
+      .select('id, question, answer, content, created_at, updated_at')
+      .eq('id', this.normalizeId(id))
+      .limit(1));
+    
+    return data && data.length > 0 ? this.toEntry(data[0]) : null;
+  }
+
+  // Text matches in question or answer, plus semantic matches, best first
+  async find(term, { limit = 10 } = {}) {
+    if (!this.isAvailable) {
+      throw new Error('Knowledge base not available');
+    }
+    
+    // Characters that would break the PostgREST or() filter
+    const safe = term.replace(/[,()%*\\]/g, ' ').trim();
+    if (!safe) return [];
+    
+    const { data } = await this.query(() => this.supabase
+      .from('knowledge_base')
+      .select('id, question, answer, content, created_at, updated_at')
+      .or(`question.ilike.%${safe}%,answer.ilike.%${safe}%`)
+      .order('created_at', { ascending: false })
+      .limit(limit));
+    
+    const results = new Map((data || []).map(row => [row.id, this.toEntry(row)]));
+    
+    const semantic = await this.semanticSearch(safe.toLowerCase(), { limit });
+    for (const match of semantic || []) {
+      if (!results.has(match.id)) {
+        results.set(match.id, { id: match.id, question: match.question, answer: match.answer });
+      }
+    }
+    
+    return [...results.values()].slice(0, limit);
+  }
+
+  // audit.action and audit.note let a revert describe itself in the history
+  async updateKnowledge(id, { question = null, answer = null } = {}, audit = {}) {
+    const existing = await this.get(id);
+    if (!existing) {
+      const error = new Error(`No knowledge entry with id ${id}`);
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+    
+    const updated = {
+      question: question || existing.question,
+      answer: answer || existing.answer
+    };
+    const embedding = await this.computeEmbedding(updated.question, updated.answer);
+    
+    await this.writeEntry(row => this.supabase
+      .from('knowledge_base')
+      .update(row)
+      .eq('id', existing.id), {
+      question: updated.question,
+      answer: updated.answer,
+      content: updated.answer,
+      updated_at: new Date().toISOString()
+    }, embedding);
+    
+    if (embedding && this.indexLoadedAt) {
+      this.index.add(existing.id, embedding, { id: existing.id, ...updated, content: updated.answer });
+    }
+    
+    const { action = 'update', ...details } = audit;
+    await this.history.record(existing.id, action, updated, details, existing);
+    
+    return { id: existing.id, ...updated, previous: existing };
+  }
+
+  async deleteKnowledge(id, audit = {}) {
+    const existing = await this.get(id);
+    if (!existing) {
+      const error = new Error(`No knowledge entry with id ${id}`);
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+    
+    await this.query(() => this.supabase
+      .from('knowledge_base')
+      .delete()
+      .eq('id', existing.id));
+    
+    this.index.remove(existing.id);
+    await this.history.record(existing.id, 'delete', existing, audit);
+    return existing;
+  }
+
+  // Revisions of an entry, newest first. Works for deleted entries too.
+  async getHistory(id, options = {}) {
+    if (!this.isAvailable) {
+      throw new Error('Knowledge base not available');
+    }
+    
+    return this.history.list(this.normalizeId(id), options);
+  }
+
+  async getRevision(id, revision) {
+    if (!this.isAvailable) {
+      throw new Error('Knowledge base not available');
+    }
+    
+    return this.history.get(this.normalizeId(id), revision);
+  }
+
+  // Puts an entry back the way it was at a revision. A deleted entry is
+  // recreated under its old id so its history carries on.
+  async revert(id, revision, audit = {}) {
+    const target = await this.getRevision(id, revision);
+    if (!target) {
+      const error = new Error(`No revision ${revision} of knowledge entry #${id}`);
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+    
+    const note = `Reverted to revision ${target.revision}`;
+    const existing = await this.get(id);
+    if (existing) {
+      const reverted = await this.updateKnowledge(
+        existing.id,
+        { question: target.question, answer: target.answer },
+        { ...audit, action: 'revert', note }
+      );
+      return { ...reverted, revision: target.revision, restored: false };
+    }
+    
+    const restoredId = this.normalizeId(id);
+    const embedding = await this.computeEmbedding(target.question, target.answer);
+    await this.writeEntry(row => this.supabase
+      .from('knowledge_base')
+      .insert([row]), {
+      id: restoredId,
+      question: target.question,
+      answer: target.answer,
+      content: target.answer,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    }, embedding, { idempotent: false });
+    
+    if (embedding && this.indexLoadedAt) {
+      this.index.add(restoredId, embedding, { id: restoredId, question: target.question, answer: target.answer, content: target.answer });
+    }
+    
+    await this.history.record(restoredId, 'restore', target, { ...audit, note: `Restored from revision ${target.revision}` });
+    return { id: restoredId, question: target.question, answer: target.answer, previous: null, revision: target.revision, restored: true };
+  }
+
   async getStats() {
     if (!this.isAvailable) return 0;
     
     try {
-      const { count, error } = await this.supabase
+      const { count } = await this.query(() => this.supabase
         .from('knowledge_base')
-        .select('*', { count: 'exact', head: true });
+        .select('*', { count: 'exact', head: true }));
       
-      if (error) throw error;
       return count || 0;
     } catch (error) {
       console.error('Get stats error:', error);
@@ -123,7 +566,7 @@ class KnowledgeBase {
     if (!this.isAvailable) return;
     
     try {
-      await this.supabase
+      await this.query(() => this.supabase
         .from('messages')
         .insert([{
           user_id: userId?.toString?.() || null,
@@ -131,7 +574,7 @@ class KnowledgeBase {
           source,
           platform,
           created_at: new Date().toISOString()
-        }]);
+        }]), { idempotent: false });
     } catch (error) {
       console.error('Save message error:', error.message);
     }
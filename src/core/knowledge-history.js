@@ -0,0 +1,104 @@
+// Numbered revisions of each knowledge entry (knowledge_revisions table).
+// A revision is the entry as it was after a change, with who made it and
+// from where: { author: '+254...', source: 'chat' | 'api' | 'import' }.
+// Entries that existed before history was kept get an "original" revision
+// the first time they change, so the old answer can still be restored.
+class KnowledgeHistory {
+  constructor(knowledgeBase) {
+    this.knowledgeBase = knowledgeBase;
+    this.maxAttempts = 5;
+  }
+
+  async latestRevision(id) {
+    const { data } = await this.knowledgeBase.query(() => this.knowledgeBase.supabase
+      .from('knowledge_revisions')
+      .select('revision')
+      .eq('knowledge_id', String(id))
+      .order('revision', { ascending: false })
+      .limit(1));
+
+    return data?.[0]?.revision || 0;
+  }
+
+  // Never throws: a change that was saved shouldn't be reported as failed
+  // because its history couldn't be written. Two changes to the same entry at
+  // once (chat and API) can pick the same number; the unique (knowledge_id,
+  // revision) constraint rejects the second, which then takes the next one.
+  async record(id, action, { question, answer }, { author = null, source = null, note = null } = {}, previous = null) {
+    try {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          let revision = await this.latestRevision(id);
+
+          if (revision === 0 && previous) {
+            revision = await this.insert(id, 1, 'original', previous, {});
+          }
+
+          return await this.insert(id, revision + 1, action, { question, answer }, { author, source, note });
+        } catch (error) {
+          if (error.code !== '23505' || attempt >= this.maxAttempts) throw error;
+          console.warn(`⚠️  Revision number for #${id} was taken, retrying`);
+        }
+      }
+    } catch (error) {
+      console.error(`Revision history error for #${id}:`, error.message);
+      return null;
+    }
+  }
+
+  async insert(id, revision, action, { question, answer }, { author = null, source = null, note = null }) {
+    await this.knowledgeBase.query(() => this.knowledgeBase.supabase
+      .from('knowledge_revisions')
+      .insert([{
+        knowledge_id: String(id),
+        revision,
+        action,
+        question,
+        answer,
+        author,
+        source,
+        note,
+        created_at: new Date().toISOString()
+      }]), { idempotent: false });
+
+    return revision;
+  }
+
+  toRevision(row) {
+    return {
+      revision: row.revision,
+      action: row.action,
+      question: row.question,
+      answer: row.answer,
+      author: row.author,
+      source: row.source,
+      note: row.note,
+      createdAt: row.created_at
+    };
+  }
+
+  // Newest first
+  async list(id, { limit = 50 } = {}) {
+    const { data } = await this.knowledgeBase.query(() => this.knowledgeBase.supabase
+      .from('knowledge_revisions')
+      .select('revision, action, question, answer, author, source, note, created_at')
+      .eq('knowledge_id', String(id))
+      .order('revision', { ascending: false })
+      .limit(limit));
+
+    return (data || []).map(row => this.toRevision(row));
+  }
+
+  async get(id, revision) {
+    const { data } = await this.knowledgeBase.query(() => this.knowledgeBase.supabase
+      .from('knowledge_revisions')
+      .select('revision, action, question, answer, author, source, note, created_at')
+      .eq('knowledge_id', String(id))
+      .eq('revision', parseInt(revision))
+      .limit(1));
+
+    return data && data.length > 0 ? this.toRevision(data[0]) : null;
+  }
+}
+
+module.exports = KnowledgeHistory;
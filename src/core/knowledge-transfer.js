@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+
+const FORMATS = {
+  csv: { extensions: ['csv'], contentType: 'text/csv' },
+  json: { extensions: ['json'], contentType: 'application/json' },
+  markdown: { extensions: ['md', 'markdown'], contentType: 'text/markdown' }
+};
+
+// Bulk import and export of the knowledge base as CSV (question,answer
+// columns), JSON (an array of { question, answer }) or FAQ Markdown
+// ("## Question" headings, each followed by its answer).
+//
+// Imports are planned before anything is written: every row is validated and
+// matched against existing entries by question (case-insensitive), giving a
+// report of adds, updates, unchanged rows, conflicts and errors. A plan with
+// errors or conflicts is never applied, and applying one does exactly what it
+// reported: adds are inserted and updates go to the planned entry's id.
+class KnowledgeTransfer {
+  constructor(knowledgeBase) {
+    this.knowledgeBase = knowledgeBase;
+  }
+
+  // Format from an explicit name, the MIME type / filename, or the content itself
+  detectFormat({ format = null, mimeType = '', fileName = '', content = '' } = {}) {
+    if (format) {
+      const name = format.toLowerCase() === 'md' ? 'markdown' : format.toLowerCase();
+      if (!FORMATS[name]) {
+        const error = new Error(`Unknown format "${format}". Use csv, json or markdown.`);
+        error.code = 'UNKNOWN_FORMAT';
+        throw error;
+      }
+      return name;
+    }
+
+    const extension = path.extname(fileName || '').substring(1).toLowerCase();
+    const byExtension = Object.keys(FORMATS).find(name => FORMATS[name].extensions.includes(extension));
+    if (byExtension) return byExtension;
+
+    if (/json/i.test(mimeType)) return 'json';
+    if (/csv|comma-separated/i.test(mimeType)) return 'csv';
+    if (/markdown/i.test(mimeType)) return 'markdown';
+
+    if (content && typeof content === 'object' && !Buffer.isBuffer(content)) return 'json';
+    const text = String(content || '').replace(/^\uFEFF/, '').trim();
+    if (text.startsWith('[') || text.startsWith('{')) return 'json';
+    if (/^##\s/m.test(text)) return 'markdown';
+    return 'csv';
+  }
+
+  // ============ PARSING ============
+
+  // Returns { rows: [{ row, question, answer }], errors: [{ row, message }] }.
+  // row is what a person would look for: the spreadsheet row for CSV (header
+  // is row 1), the item number for JSON and the heading's line for Markdown.
+  parse(content, format) {
+    if (format === 'json') return this.parseJson(content);
+    if (format === 'markdown') return this.parseMarkdown(content);
+    return this.parseCsv(content);
+  }
+
+  parseCsv(content) {
+    let records;
+    try {
+      records = parse(Buffer.isBuffer(content) ? content.toString('utf-8') : content, {
+        bom: true,
+        relax_column_count: true,
+        skip_empty_lines: true
+      });
+    } catch (error) {
+      return { rows: [], errors: [{ row: error.lines || null, message: `Invalid CSV: ${error.message}` }] };
+    }
+
+    if (records.length === 0) {
+      return { rows: [], errors: [{ row: null, message: 'The file is empty' }] };
+    }
+
+    const header = records[0].map(column => column.trim().toLowerCase());
+    const questionColumn = header.indexOf('question');
+    const answerColumn = header.indexOf('answer');
+    if (questionColumn === -1 || answerColumn === -1) {
+      return { rows: [], errors: [{ row: 1, message: 'The header row needs "question" and "answer" columns' }] };
+    }
+
+    return this.validate(records.slice(1).map((record, i) => ({
+      row: i + 2,
+      question: record[questionColumn],
+      answer: record[answerColumn]
+    })));
+  }
+
+  parseJson(content) {
+    let data = content;
+    if (typeof content === 'string' || Buffer.isBuffer(content)) {
+      try {
+        data = JSON.parse(content.toString('utf-8').replace(/^\uFEFF/, ''));
+      } catch (error) {
+        return { rows: [], errors: [{ row: null, message: `Invalid JSON: ${error.message}` }] };
+      }
+    }
+
+    // Accept our own export shape ({ items: [...] }) as well as a plain array
+    const items = Array.isArray(data) ? data : data?.items;
+    if (!Array.isArray(items)) {
+      return { rows: [], errors: [{ row: null, message: 'Expected an array of { "question", "answer" } objects' }] };
+    }
+
+    return this.validate(items.map((item, i) => ({
+      row: i + 1,
+      question: item?.question,
+      answer: item?.answer
+    })));
+  }
+
+  parseMarkdown(content) {
+    const lines = (Buffer.isBuffer(content) ? content.toString('utf-8') : content).replace(/^\uFEFF/, '').split(/\r?\n/);
+    const items = [];
+    let current = null;
+
+    lines.forEach((line, i) => {
+      const heading = line.match(/^##\s+(.*)$/);
+      if (heading) {
+        current = { row: i + 1, question: heading[1].trim(), answerLines: [] };
+        items.push(current);
+      } else if (current) {
+        current.answerLines.push(line);
+      }
+      // Anything before the first "## " (a title, an intro) is ignored
+    });
+
+    if (items.length === 0) {
+      return { rows: [], errors: [{ row: null, message: 'No "## Question" headings found' }] };
+    }
+
+    return this.validate(items.map(item => ({
+      row: item.row,
+      question: item.question,
+      answer: item.answerLines.join('\n').trim()
+    })));
+  }
+
+  validate(items) {
+    const rows = [];
+    const errors = [];
+
+    for (const item of items) {
+      const problems = ['question', 'answer']
+        .filter(field => typeof item[field] !== 'string' || !item[field].trim())
+        .map(field => `missing ${field}`);
+
+      if (problems.length > 0) {
+        errors.push({ row: item.row, message: problems.join(', ') });
+      } else {
+        rows.push({ row: item.row, question: item.question.trim(), answer: item.answer.trim() });
+      }
+    }
+
+    if (items.length === 0) {
+      errors.push({ row: null, message: 'The file has no entries' });
+    }
+
+    return { rows, errors };
+  }
+
+  // ============ IMPORT ============
+
+  key(question) {
+    return question.trim().toLowerCase();
+  }
+
+  // Decides what each row would do without writing anything
+  async plan(rows, errors = []) {
+    const existing = new Map();
+    for (const entry of await this.knowledgeBase.all()) {
+      const key = this.key(entry.question);
+      existing.set(key, [...(existing.get(key) || []), entry]);
+    }
+
+    const seen = new Map();
+    const changes = [];
+    const conflicts = [];
+
+    for (const row of rows) {
+      const key = this.key(row.question);
+      const matches = existing.get(key) || [];
+
+      if (seen.has(key)) {
+        conflicts.push({ row: row.row, question: row.question, message: `Same question as row ${seen.get(key)}` });
+        continue;
+      }
+      seen.set(key, row.row);
+
+      if (matches.length > 1) {
+        conflicts.push({
+          row: row.row,
+          question: row.question,
+          message: `Matches ${matches.length} existing entries (${matches.map(entry => `#${entry.id}`).join(', ')})`
+        });
+      } else if (matches.length === 1) {
+        const action = (matches[0].answer || '').trim() === row.answer ? 'unchanged' : 'update';
+        changes.push({ ...row, action, id: matches[0].id });
+      } else {
+        changes.push({ ...row, action: 'add', id: null });
+      }
+    }
+
+    return { changes, conflicts, errors };
+  }
+
+  // Short id of what a plan (or its report) would write, so a preview the
+  // user confirmed can be checked against the plan made when applying it
+  fingerprint(plan) {
+    const writes = plan.changes
+      .filter(change => change.action === 'add' || change.action === 'update')
+      .map(({ row, action, id }) => [row, action, id]);
+    const blocked = [plan.errors.length, plan.conflicts.length];
+
+    return crypto.createHash('sha1').update(JSON.stringify([writes, blocked])).digest('hex').substring(0, 16);
+  }
+
+  // Parses, plans and (unless dryRun or the plan has problems) applies an import.
+  // content may be a string, a Buffer or, for JSON, already-parsed data.
+  // author is recorded in the revision history of every entry it changes.
+  // expected is the fingerprint of a preview: if the plan no longer matches it,
+  // nothing is written and the report has outdated: true.
+  async import(content, { format = null, mimeType = '', fileName = '', dryRun = false, author = null, expected = null } = {}) {
+    const resolvedFormat = this.detectFormat({ format, mimeType, fileName, content });
+    const { rows, errors } = this.parse(content, resolvedFormat);
+
+    const plan = await this.plan(rows, errors);
+    const outdated = expected !== null && this.fingerprint(plan) !== expected;
+    const report = await this.execute(plan, {
+      format: resolvedFormat,
+      dryRun: dryRun || outdated,
+      total: rows.length + errors.length,
+      author
+    });
+
+    return { ...report, fingerprint: this.fingerprint(plan), outdated };
+  }
+
+  async execute(plan, { format, dryRun, total, author = null }) {
+    const blocked = plan.errors.length > 0 || plan.conflicts.length > 0;
+    const report = {
+      format,
+      dryRun,
+      applied: false,
+      total,
+      summary: this.summarize(plan),
+      changes: plan.changes.map(({ row, action, id, question }) => ({ row, action, id, question })),
+      conflicts: plan.conflicts,
+      errors: plan.errors,
+      failed: []
+    };
+
+    if (dryRun || blocked) {
+      return report;
+    }
+
+    const audit = { author, source: 'import' };
+    for (const change of plan.changes) {
+      try {
+        if (change.action === 'add') {
+          const saved = await this.knowledgeBase.insertKnowledge(change.question, change.answer, audit);
+          report.changes.find(item => item.row === change.row).id = saved.id;
+        } else if (change.action === 'update') {
+          await this.knowledgeBase.updateKnowledge(change.id, { answer: change.answer }, audit);
+        }
+      } catch (error) {
+        console.error(`Import row ${change.row} failed:`, error.message);
+        report.failed.push({ row: change.row, question: change.question, message: error.message });
+      }
+    }
+
+    report.applied = true;
+    console.log(`📥 Imported knowledge: ${report.summary.add} added, ${report.summary.update} updated, ${report.failed.length} failed`);
+    return report;
+  }
+
+  summarize(plan) {
+    const count = action => plan.changes.filter(change => change.action === action).length;
+    return {
+      add: count('add'),
+      update: count('update'),
+      unchanged: count('unchanged'),
+      conflicts: plan.conflicts.length,
+      errors: plan.errors.length
+    };
+  }
+
+  // ============ EXPORT ============
+
+  // Returns { content, contentType, extension } for the whole knowledge base
+  async export(format = 'json') {
+    const resolvedFormat = this.detectFormat({ format });
+    const entries = await this.knowledgeBase.all();
+
+    let content;
+    if (resolvedFormat === 'csv') {
+      content = this.toCsv(entries);
+    } else if (resolvedFormat === 'markdown') {
+      content = this.toMarkdown(entries);
+    } else {
+      content = JSON.stringify(entries, null, 2);
+    }
+
+    return {
+      content,
+      contentType: FORMATS[resolvedFormat].contentType,
+      extension: FORMATS[resolvedFormat].extensions[0],
+      count: entries.length
+    };
+  }
+
+  toCsv(entries) {
+    const cell = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [['id', 'question', 'answer', 'created_at', 'updated_at']]
+      .concat(entries.map(entry => [entry.id, entry.question, entry.answer, entry.createdAt, entry.updatedAt]))
+      .map(values => values.map(cell).join(','));
+
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  toMarkdown(entries) {
+    const sections = entries.map(entry => {
+      // A line starting with "## " inside an answer would read back as a new question
+      const answer = (entry.answer || '').replace(/^##(\s)/gm, '###$1');
+      return `## ${entry.question.replace(/\s*\n\s*/g, ' ')}\n\n${answer}\n`;
+    });
+
+    return `# Knowledge base\n\n${sections.join('\n')}`;
+  }
+}
+
+module.exports = KnowledgeTransfer;
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+
+// Remembers which inbound MessageSids have been handled so Twilio retries and
+// duplicate deliveries are processed once. Bounded by count and age, and
+// optionally written to disk (DEDUPE_STORE=file) so it survives a restart.
+class MessageDeduplicator {
+  constructor() {
+    this.maxEntries = parseInt(process.env.DEDUPE_MAX_ENTRIES) || 5000;
+    this.ttlMs = (parseInt(process.env.DEDUPE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+    this.persist = (process.env.DEDUPE_STORE || 'file') === 'file';
+    this.filePath = process.env.DEDUPE_FILE || path.join(__dirname, '../../data/processed-messages.json');
+    this.seen = new Map();
+    // Claimed but still being handled; never persisted, so a crash forgets them
+    this.pending = new Set();
+    this.duplicates = 0;
+    this.saving = null;
+    this.dirty = false;
+
+    if (this.persist) {
+      this.load();
+    }
+  }
+
+  load() {
+    try {
+      const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      for (const [sid, seenAt] of entries) {
+        this.seen.set(sid, seenAt);
+      }
+      this.prune();
+      console.log(`✅ Loaded ${this.seen.size} processed message id(s)`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Dedupe cache load error:', error.message);
+      }
+    }
+  }
+
+  // Drops expired ids, then the oldest ones until there's room for one more
+  prune(now = Date.now()) {
+    for (const [sid, seenAt] of this.seen) {
+      // Map iterates in insertion order, so the oldest entries come first
+      if (now - seenAt <= this.ttlMs && this.seen.size < this.maxEntries) break;
+      this.seen.delete(sid);
+    }
+  }
+
+  // Returns true the first time a MessageSid is seen, false for duplicates.
+  // Messages without a sid can't be deduplicated and are always processed.
+  // A claim only becomes permanent with complete(); release() gives it up so
+  // a redelivery of a message that failed is handled again.
+  claim(messageSid) {
+    if (!messageSid) return true;
+
+    this.prune();
+    if (this.seen.has(messageSid) || this.pending.has(messageSid)) {
+      this.duplicates++;
+      return false;
+    }
+
+    this.pending.add(messageSid);
+    return true;
+  }
+
+  async complete(messageSid) {
+    if (!messageSid) return;
+
+    this.pending.delete(messageSid);
+    this.seen.set(messageSid, Date.now());
+    if (this.persist) {
+      await this.save();
+    }
+  }
+
+  release(messageSid) {
+    this.pending.delete(messageSid);
+  }
+
+  // Coalesces concurrent saves: while one write is running, later completions only
+  // mark the cache dirty and the running write goes round once more
+  async save() {
+    this.dirty = true;
+    if (this.saving) return this.saving;
+
+    this.saving = (async () => {
+      try {
+        while (this.dirty) {
+          this.dirty = false;
+          await this.writeFile();
+        }
+      } catch (error) {
+        console.error('Dedupe cache save error:', error.message);
+      } finally {
+        this.saving = null;
+      }
+    })();
+
+    return this.saving;
+  }
+
+  async writeFile() {
+    const temp = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(temp, JSON.stringify([...this.seen]));
+    await fs.promises.rename(temp, this.filePath);
+  }
+
+  getStats() {
+    return {
+      tracked: this.seen.size,
+      inProgress: this.pending.size,
+      duplicatesSkipped: this.duplicates,
+      persistent: this.persist
+    };
+  }
+}
+
+module.exports = MessageDeduplicator;
@@ -0,0 +1,107 @@
+// Where long text may be cut, from most to least natural
+const SPLIT_LEVELS = [
+  { pattern: /\n{2,}/, separator: '\n\n' },     // paragraphs
+  { pattern: /\n/, separator: '\n' },           // lines (bullet lists)
+  { pattern: /(?<=[.!?])\s+/, separator: ' ' }, // sentences
+  { pattern: /\s+/, separator: ' ' }            // words
+];
+
+// Splits long replies into WhatsApp-sized parts marked "(1/3)", and pages
+// through them: only a few parts go out at once, the rest wait in
+// session.moreParts until the user says "more".
+class MessageSplitter {
+  constructor() {
+    this.maxLength = parseInt(process.env.MESSAGE_MAX_LENGTH) || 1600;
+    this.partsPerReply = parseInt(process.env.MAX_PARTS_PER_REPLY) || 3;
+    // Room for the "(12/12) " marker and the "more" hint
+    this.partLength = this.maxLength - 80;
+  }
+
+  // Breaks text into { separator, text } units no longer than maxLength,
+  // cutting at the most natural boundary that makes them fit
+  units(text, maxLength, level = 0, separator = '') {
+    if (text.length <= maxLength) {
+      return [{ separator, text }];
+    }
+
+    const splitter = SPLIT_LEVELS[level];
+    if (!splitter) {
+      // A single "word" longer than a message (e.g. a URL) has to be cut
+      const pieces = [];
+      for (let i = 0; i < text.length; i += maxLength) {
+        pieces.push({ separator: i === 0 ? separator : '', text: text.substring(i, i + maxLength) });
+      }
+      return pieces;
+    }
+
+    return text
+      .split(splitter.pattern)
+      .flatMap((piece, i) => this.units(piece, maxLength, level + 1, i === 0 ? separator : splitter.separator));
+  }
+
+  // Returns the text as one or more parts, each within the message limit
+  split(text) {
+    const trimmed = (text || '').trim();
+    if (trimmed.length <= this.maxLength) {
+      return [trimmed];
+    }
+
+    const parts = [];
+    let current = '';
+
+    for (const unit of this.units(trimmed, this.partLength)) {
+      if (current && current.length + unit.separator.length + unit.text.length > this.partLength) {
+        parts.push(current.trim());
+        current = unit.text;
+      } else {
+        current += (current ? unit.separator : '') + unit.text;
+      }
+    }
+    if (current.trim()) {
+      parts.push(current.trim());
+    }
+
+    return parts.map((part, i) => `(${i + 1}/${parts.length}) ${part}`);
+  }
+
+  // Returns the parts to send now; anything beyond partsPerReply is kept for "more".
+  // A new answer always replaces whatever was still pending.
+  paginate(session, text) {
+    const parts = this.split(text);
+    delete session.moreParts;
+
+    if (parts.length <= this.partsPerReply) {
+      return parts;
+    }
+
+    session.moreParts = parts.slice(this.partsPerReply);
+    return this.withMoreHint(parts.slice(0, this.partsPerReply), session.moreParts.length);
+  }
+
+  hasMore(session) {
+    return Array.isArray(session.moreParts) && session.moreParts.length > 0;
+  }
+
+  nextPage(session) {
+    if (!this.hasMore(session)) return [];
+
+    const page = session.moreParts.slice(0, this.partsPerReply);
+    session.moreParts = session.moreParts.slice(this.partsPerReply);
+
+    if (session.moreParts.length === 0) {
+      delete session.moreParts;
+      return page;
+    }
+    return this.withMoreHint(page, session.moreParts.length);
+  }
+
+  withMoreHint(parts, remaining) {
+    const last = parts.length - 1;
+    return parts.map((part, i) => i === last
+      ? `${part}\n\n➡️ Reply *more* for the rest (${remaining} more part${remaining === 1 ? '' : 's'})`
+      : part
+    );
+  }
+}
+
+module.exports = MessageSplitter;
@@ -0,0 +1,145 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Local OCR: tesseract.js runs in WebAssembly and reads language data from disk,
+// so nothing leaves the server. Scanned PDF pages are rasterised with poppler's pdftoppm.
+class OcrProcessor {
+  constructor() {
+    this.worker = null;
+    this.isWorkerLoading = false;
+    this.workerLoadQueue = [];
+    
+    this.enabled = process.env.OCR_ENABLED !== 'false';
+    this.languages = process.env.OCR_LANGUAGES || 'eng';
+    this.langPath = process.env.OCR_LANG_PATH || this.bundledLangPath();
+    this.pdftoppmPath = process.env.PDFTOPPM_PATH || 'pdftoppm';
+    this.maxPdfPages = parseInt(process.env.OCR_MAX_PDF_PAGES) || 20;
+    this.minPageChars = parseInt(process.env.OCR_MIN_PAGE_CHARS) || 20;
+    this.renderDpi = parseInt(process.env.OCR_RENDER_DPI) || 200;
+    // null until checkPdfRenderer() has run
+    this.canRenderPdf = null;
+  }
+
+  bundledLangPath() {
+    try {
+      // English traineddata shipped as an npm package
+      return require('@tesseract.js-data/eng').langPath;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async loadWorker() {
+    if (this.worker) return this.worker;
+    
+    if (this.isWorkerLoading) {
+      return new Promise((resolve, reject) => {
+        this.workerLoadQueue.push({ resolve, reject });
+      });
+    }
+    
+    if (!this.langPath) {
+      throw new Error('OCR language data not found. Install @tesseract.js-data/eng or set OCR_LANG_PATH.');
+    }
+    
+    this.isWorkerLoading = true;
+    console.log(`🔍 Loading OCR worker (${this.languages})...`);
+    
+    try {
+      const { createWorker } = require('tesseract.js');
+      this.worker = await createWorker(this.languages, 1, {
+        langPath: this.langPath,
+        cachePath: path.join(os.tmpdir(), 'vox-note-ocr'),
+        gzip: true
+      });
+      console.log('✅ OCR worker ready');
+      
+      this.workerLoadQueue.forEach(({ resolve }) => resolve(this.worker));
+      return this.worker;
+    } catch (error) {
+      console.error('OCR worker load error:', error.message);
+      this.workerLoadQueue.forEach(({ reject }) => reject(error));
+      throw error;
+    } finally {
+      this.workerLoadQueue = [];
+      this.isWorkerLoading = false;
+    }
+  }
+
+  async recognize(imageBuffer) {
+    if (!this.enabled) {
+      throw new Error('OCR is disabled. Set OCR_ENABLED=true to enable.');
+    }
+    
+    const worker = await this.loadWorker();
+    const startTime = Date.now();
+    const { data } = await worker.recognize(imageBuffer);
+    
+    console.log(`🔍 OCR read ${data.text.length} characters (confidence ${Math.round(data.confidence)}%) in ${Date.now() - startTime}ms`);
+    return {
+      text: data.text.trim(),
+      confidence: data.confidence
+    };
+  }
+
+  needsOcr(pageText) {
+    return (pageText || '').replace(/\s+/g, '').length < this.minPageChars;
+  }
+
+  // Renders the given 1-based PDF pages to PNG buffers
+  async renderPdfPages(pdfBuffer, pageNumbers) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'vox-note-pdf-'));
+    const pdfPath = path.join(workDir, 'input.pdf');
+    
+    try {
+      await fs.promises.writeFile(pdfPath, pdfBuffer);
+      const images = new Map();
+      
+      for (const pageNumber of pageNumbers) {
+        const outputPrefix = path.join(workDir, `page-${pageNumber}`);
+        await this.runPdftoppm([
+          '-png', '-r', String(this.renderDpi),
+          '-f', String(pageNumber), '-l', String(pageNumber),
+          '-singlefile', pdfPath, outputPrefix
+        ]);
+        images.set(pageNumber, await fs.promises.readFile(`${outputPrefix}.png`));
+      }
+      
+      return images;
+    } finally {
+      fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  // Scanned-PDF OCR needs pdftoppm (poppler-utils), which npm can't install
+  async checkPdfRenderer() {
+    this.canRenderPdf = await new Promise((resolve) => {
+      const child = spawn(this.pdftoppmPath, ['-v']);
+      child.on('error', () => resolve(false));
+      child.on('close', () => resolve(true));
+    });
+    return this.canRenderPdf;
+  }
+
+  runPdftoppm(args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.pdftoppmPath, args);
+      let stderr = '';
+      
+      child.stderr.on('data', (data) => { stderr += data; });
+      child.on('error', (error) => {
+        reject(error.code === 'ENOENT'
+          ? new Error('pdftoppm not found - install poppler-utils or set PDFTOPPM_PATH to OCR scanned PDFs')
+          : error);
+      });
+      child.on('close', (code) => {
+        if (code === 0) resolve();
+        else reject(new Error(`pdftoppm exited with code ${code}: ${stderr.trim()}`));
+      });
+    });
+  }
+}
+
+module.exports = OcrProcessor;
@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+
+// Twilio error codes where sending the same message again later can work:
+// queue overflow, unreachable handset, unknown error, rate limit exceeded
+const RETRYABLE_ERROR_CODES = ['30001', '30003', '30008', '63018'];
+
+// Twilio's status order, so a late "sent" callback can't overwrite "delivered"
+const STATUS_RANK = {
+  pending: 0, accepted: 1, queued: 1, sending: 2, sent: 3, delivered: 4, read: 5,
+  failed: 6, undelivered: 6
+};
+
+// Every outgoing WhatsApp message goes through here. Sends are paced to stay
+// under Twilio's rate limit, kept in order per recipient, recorded in a
+// delivery log and updated from status callbacks. Failed API calls are only
+// retried inside withResilience; a message Twilio accepted but couldn't
+// deliver (RETRYABLE_ERROR_CODES) is resent later if it was sent on its own.
+class OutboundQueue {
+  constructor(client, safetyManager, supabase = null) {
+    this.client = client;
+    this.safetyManager = safetyManager;
+    this.supabase = supabase;
+    this.statusCallbackUrl = null;
+    
+    this.minIntervalMs = Math.ceil(1000 / (parseFloat(process.env.OUTBOUND_MESSAGES_PER_SECOND) || 5));
+    this.maxAttempts = parseInt(process.env.OUTBOUND_MAX_ATTEMPTS) || 3;
+    this.retryDelayMs = parseInt(process.env.OUTBOUND_RETRY_DELAY_MS) || 30000;
+    this.logSize = parseInt(process.env.OUTBOUND_LOG_SIZE) || 1000;
+    
+    this.pending = [];
+    this.inFlight = new Map();
+    this.draining = false;
+    this.lastSendAt = 0;
+    this.records = new Map();
+    this.bySid = new Map();
+    // record id -> its latest delivery log write
+    this.saves = new Map();
+  }
+
+  // Queues a message and resolves with its delivery record once Twilio has
+  // accepted or refused it. resendable: false for one part of a longer reply,
+  // where a late resend would arrive after the parts that followed it.
+  send(messageData, { resendable = true } = {}) {
+    const now = new Date().toISOString();
+    const record = {
+      id: `out_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+      sid: null,
+      from: messageData.from,
+      to: messageData.to,
+      body: messageData.body || null,
+      mediaUrl: messageData.mediaUrl?.[0] || null,
+      status: 'pending',
+      attempts: 0,
+      errorCode: null,
+      errorMessage: null,
+      nextRetryAt: null,
+      resendable,
+      history: [{ status: 'pending', at: now }],
+      createdAt: now,
+      updatedAt: now
+    };
+    
+    this.remember(record);
+    return this.enqueue(record, messageData);
+  }
+
+  enqueue(record, messageData) {
+    return new Promise(resolve => {
+      this.pending.push({ record, messageData, resolve });
+      this.drain();
+    });
+  }
+
+  async drain() {
+    if (this.draining) return;
+    this.draining = true;
+    
+    try {
+      while (this.pending.length > 0) {
+        // One message in flight per recipient keeps multi-part replies in order
+        const index = this.pending.findIndex(item => !this.inFlight.has(item.record.to));
+        if (index === -1) {
+          await Promise.race(this.inFlight.values());
+          continue;
+        }
+        
+        const wait = this.lastSendAt + this.minIntervalMs - Date.now();
+        if (wait > 0) {
+          await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        this.lastSendAt = Date.now();
+        
+        const [item] = this.pending.splice(index, 1);
+        const attempt = this.dispatch(item).finally(() => {
+          this.inFlight.delete(item.record.to);
+        });
+        this.inFlight.set(item.record.to, attempt);
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  async dispatch({ record, messageData, resolve }) {
+    record.attempts++;
+    
+    try {
+      const data = this.statusCallbackUrl
+        ? { ...messageData, statusCallback: this.statusCallbackUrl }
+        : messageData;
+      const message = await this.safetyManager.withResilience(
+        'twilio',
+        () => this.client.messages.create(data),
+        { idempotent: false }
+      );
+      
+      if (record.sid) {
+        this.bySid.delete(record.sid);
+      }
+      record.sid = message.sid;
+      record.errorCode = null;
+      record.errorMessage = null;
+      record.nextRetryAt = null;
+      this.bySid.set(message.sid, record);
+      this.setStatus(record, message.status || 'queued', true);
+    } catch (error) {
+      console.error(`Send error (attempt ${record.attempts}):`, error.message);
+      record.errorCode = error.code ? String(error.code) : null;
+      record.errorMessage = error.message;
+      record.nextRetryAt = null;
+      this.setStatus(record, 'failed', true);
+    }
+    
+    resolve(record);
+  }
+
+  scheduleResend(record, messageData) {
+    if (record.attempts >= this.maxAttempts) {
+      console.warn(`📪 Giving up on ${record.id} after ${record.attempts} attempt(s)`);
+      record.nextRetryAt = null;
+      return false;
+    }
+    
+    const delay = this.retryDelayMs * 2 ** (record.attempts - 1);
+    record.nextRetryAt = new Date(Date.now() + delay).toISOString();
+    console.log(`📬 Resending ${record.id} in ${Math.round(delay / 1000)}s`);
+    
+    const timer = setTimeout(() => this.enqueue(record, messageData), delay);
+    // A pending resend shouldn't hold the process open at shutdown
+    timer.unref();
+    return true;
+  }
+
+  // Applies a Twilio status callback (queued/sent/delivered/read/failed/undelivered)
+  async handleStatusUpdate({ MessageSid, MessageStatus, ErrorCode, ErrorMessage }) {
+    if (!MessageSid || !MessageStatus) return null;
+    
+    const record = this.bySid.get(MessageSid);
+    if (!record) {
+      // Sent before a restart - the stored log can still be updated
+      await this.persistStatus(MessageSid, MessageStatus, ErrorCode);
+      return null;
+    }
+    
+    // A callback for an earlier attempt that has since been resent
+    if (record.sid !== MessageSid) return record;
+    
+    if (ErrorCode) {
+      record.errorCode = String(ErrorCode);
+      record.errorMessage = ErrorMessage || record.errorMessage;
+    }
+    
+    const failed = MessageStatus === 'failed' || MessageStatus === 'undelivered';
+    if (failed && record.resendable && RETRYABLE_ERROR_CODES.includes(record.errorCode)) {
+      this.scheduleResend(record, {
+        from: record.from,
+        to: record.to,
+        ...(record.body ? { body: record.body } : {}),
+        ...(record.mediaUrl ? { mediaUrl: [record.mediaUrl] } : {})
+      });
+    }
+    
+    this.setStatus(record, MessageStatus, failed);
+    return record;
+  }
+
+  // force: failures and fresh attempts always apply; otherwise only forward moves
+  setStatus(record, status, force = false) {
+    if (!force && (STATUS_RANK[status] ?? 0) < (STATUS_RANK[record.status] ?? 0)) return;
+    
+    const now = new Date().toISOString();
+    record.status = status;
+    record.updatedAt = now;
+    record.history.push({ status, at: now, ...(record.errorCode ? { errorCode: record.errorCode } : {}) });
+    
+    this.persist(record);
+  }
+
+  // Keeps the in-memory log bounded, oldest first out
+  remember(record) {
+    this.records.set(record.id, record);
+    
+    while (this.records.size > this.logSize) {
+      const [oldestId, oldest] = this.records.entries().next().value;
+      this.records.delete(oldestId);
+      if (oldest.sid) this.bySid.delete(oldest.sid);
+    }
+  }
+
+  // Writes for one record run one after another and each saves the record as
+  // it is by then, so a slow older write can't overwrite a newer status
+  persist(record) {
+    if (!this.supabase) return Promise.resolve();
+    
+    const save = (this.saves.get(record.id) || Promise.resolve()).then(() => this.write(record));
+    this.saves.set(record.id, save);
+    save.then(() => {
+      if (this.saves.get(record.id) === save) {
+        this.saves.delete(record.id);
+      }
+    });
+    return save;
+  }
+
+  async write(record) {
+    try {
+      await this.safetyManager.withResilience('supabase', async () => {
+        const { error } = await this.supabase
+          .from('outbound_messages')
+          .upsert({
+            id: record.id,
+            sid: record.sid,
+            to_number: record.to,
+            body: record.body,
+            media_url: record.mediaUrl,
+            status: record.status,
+            attempts: record.attempts,
+            error_code: record.errorCode,
+            error_message: record.errorMessage,
+            history: record.history,
+            created_at: record.createdAt,
+            updated_at: record.updatedAt
+          }, { onConflict: 'id' });
+        
+        if (error) throw error;
+      });
+    } catch (error) {
+      console.error('Delivery log save error:', error.message);
+    }
+  }
+
+  async persistStatus(sid, status, errorCode) {
+    if (!this.supabase) return;
+    
+    try {
+      const { error } = await this.supabase
+        .from('outbound_messages')
+        .update({
+          status,
+          error_code: errorCode ? String(errorCode) : null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('sid', sid);
+      
+      if (error) throw error;
+    } catch (error) {
+      console.error('Delivery log update error:', error.message);
+    }
+  }
+
+  // Newest first. Filters: to (full "whatsapp:+..." address), status, limit.
+  async getLog({ to = null, status = null, limit = 50 } = {}) {
+    limit = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+    
+    if (this.supabase) {
+      try {
+        let query = this.supabase
+          .from('outbound_messages')
+          .select('*')
+          .order('created_at', { ascending: false })
+          .limit(limit);
+        if (to) query = query.eq('to_number', to);
+        if (status) query = query.eq('status', status);
+        
+        const { data, error } = await query;
+        if (error) throw error;
+        return data.map(row => ({
+          id: row.id,
+          sid: row.sid,
+          to: row.to_number,
+          body: row.body,
+          mediaUrl: row.media_url,
+          status: row.status,
+          attempts: row.attempts,
+          errorCode: row.error_code,
+          errorMessage: row.error_message,
+          history: row.history,
+          createdAt: row.created_at,
+          updatedAt: row.updated_at
+        }));
+      } catch (error) {
+        console.error('Delivery log query error:', error.message);
+      }
+    }
+    
+    // In-memory log (also the fallback when Supabase can't be reached)
+    return [...this.records.values()]
+      .filter(record => (!to || record.to === to) && (!status || record.status === status))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  getStats() {
+    const byStatus = {};
+    for (const record of this.records.values()) {
+      byStatus[record.status] = (byStatus[record.status] || 0) + 1;
+    }
+    
+    return {
+      pending: this.pending.length,
+      inFlight: this.inFlight.size,
+      tracked: this.records.size,
+      byStatus
+    };
+  }
+}
+
+module.exports = OutboundQueue;
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+
+// Most to least privileged
+const ROLES = ['admin', 'contributor', 'viewer', 'blocked'];
+
+const PERMISSIONS = {
+  admin: ['chat', 'knowledge:read', 'knowledge:write', 'knowledge:import', 'roles:manage', 'feedback:review'],
+  contributor: ['chat', 'knowledge:read', 'knowledge:write'],
+  viewer: ['chat', 'knowledge:read'],
+  blocked: []
+};
+
+// Roles tied to phone numbers. Numbers in ADMIN_NUMBERS are always admins
+// (so there's someone to grant the rest); roles granted in chat are kept in
+// data/roles.json (ROLES_FILE). Everyone else gets DEFAULT_ROLE, which is
+// "viewer" once admins are configured and "contributor" until then, so a
+// bot without admins keeps working as before.
+class RoleManager {
+  constructor() {
+    this.filePath = process.env.ROLES_FILE || path.join(__dirname, '../../data/roles.json');
+    this.adminNumbers = (process.env.ADMIN_NUMBERS || '')
+      .split(',')
+      .map(number => this.normalize(number))
+      .filter(Boolean);
+    this.defaultRole = ROLES.includes(process.env.DEFAULT_ROLE)
+      ? process.env.DEFAULT_ROLE
+      : (this.adminNumbers.length > 0 ? 'viewer' : 'contributor');
+    this.grants = new Map();
+    this.saving = Promise.resolve();
+
+    if (process.env.DEFAULT_ROLE && !ROLES.includes(process.env.DEFAULT_ROLE)) {
+      console.warn(`⚠️  Unknown DEFAULT_ROLE "${process.env.DEFAULT_ROLE}" - using ${this.defaultRole}`);
+    }
+    if (this.adminNumbers.length === 0) {
+      console.warn('⚠️  No ADMIN_NUMBERS set - everyone can edit the knowledge base');
+    }
+
+    this.load();
+  }
+
+  load() {
+    try {
+      const grants = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      for (const [number, grant] of Object.entries(grants)) {
+        if (ROLES.includes(grant.role)) {
+          this.grants.set(number, grant);
+        }
+      }
+      console.log(`✅ Loaded ${this.grants.size} role grant(s)`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Roles load error:', error.message);
+      }
+    }
+  }
+
+  // Writes are chained so grants made close together land in order
+  save() {
+    const snapshot = JSON.stringify(Object.fromEntries(this.grants), null, 2);
+    this.saving = this.saving.then(async () => {
+      const temp = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(temp, snapshot);
+      await fs.promises.rename(temp, this.filePath);
+    }).catch(error => {
+      console.error('Roles save error:', error.message);
+    });
+    return this.saving;
+  }
+
+  // "whatsapp:+254 700-000001" -> "254700000001"
+  normalize(number) {
+    return (number || '').replace(/\D/g, '');
+  }
+
+  // Numbers typed in chat must be international ("+254 700 000001" or
+  // "00254..."): a local "0700 000001" never matches a sender's number
+  parseNumber(input) {
+    const text = (input || '').trim();
+    const digits = this.normalize(text.replace(/^00/, ''));
+    if (!/^(\+|00)/.test(text) || !/^[1-9]\d{6,14}$/.test(digits)) {
+      throw new Error('Use the full international number with its country code, e.g. +254700000001.');
+    }
+    return digits;
+  }
+
+  display(number) {
+    return `+${this.normalize(number)}`;
+  }
+
+  isRole(role) {
+    return ROLES.includes(role);
+  }
+
+  getRole(number) {
+    const normalized = this.normalize(number);
+    if (this.adminNumbers.includes(normalized)) return 'admin';
+    return this.grants.get(normalized)?.role || this.defaultRole;
+  }
+
+  can(number, permission) {
+    return PERMISSIONS[this.getRole(number)].includes(permission);
+  }
+
+  // The least privileged role that has a permission, for refusal messages
+  requiredRole(permission) {
+    return [...ROLES].reverse().find(role => PERMISSIONS[role].includes(permission)) || 'admin';
+  }
+
+  // Throws with a user-facing message when the change isn't allowed
+  async grant(number, role, grantedBy) {
+    const normalized = this.parseNumber(number);
+    this.checkChange(normalized, grantedBy);
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role "${role}". Roles: ${ROLES.join(', ')}.`);
+    }
+
+    const previous = this.getRole(normalized);
+    this.grants.set(normalized, {
+      role,
+      grantedBy: this.display(grantedBy),
+      updatedAt: new Date().toISOString()
+    });
+    await this.save();
+
+    console.log(`👥 ${this.display(grantedBy)} made ${this.display(normalized)} ${role} (was ${previous})`);
+    return { number: this.display(normalized), role, previous };
+  }
+
+  // Back to the default role
+  async revoke(number, revokedBy) {
+    const normalized = this.parseNumber(number);
+    this.checkChange(normalized, revokedBy);
+
+    const previous = this.getRole(normalized);
+    const removed = this.grants.delete(normalized);
+    if (removed) {
+      await this.save();
+      console.log(`👥 ${this.display(revokedBy)} reset ${this.display(normalized)} to ${this.defaultRole} (was ${previous})`);
+    }
+
+    return { number: this.display(normalized), role: this.defaultRole, previous, removed };
+  }
+
+  checkChange(normalized, changedBy) {
+    if (normalized === this.normalize(changedBy)) {
+      throw new Error('You can\'t change your own role.');
+    }
+    if (this.adminNumbers.includes(normalized)) {
+      throw new Error(`${this.display(normalized)} is an admin through ADMIN_NUMBERS - change it there.`);
+    }
+  }
+
+  // Every number with a role other than the default, admins first
+  list() {
+    const entries = [
+      ...this.adminNumbers.map(number => ({ number: this.display(number), role: 'admin', source: 'ADMIN_NUMBERS' })),
+      ...[...this.grants.entries()]
+        .filter(([number]) => !this.adminNumbers.includes(number))
+        .map(([number, grant]) => ({ number: this.display(number), ...grant, source: 'chat' }))
+    ];
+
+    return entries.sort((a, b) => ROLES.indexOf(a.role) - ROLES.indexOf(b.role));
+  }
+
+  getStats() {
+    const counts = Object.fromEntries(ROLES.map(role => [role, 0]));
+    this.list().forEach(entry => counts[entry.role]++);
+    return { defaultRole: this.defaultRole, ...counts };
+  }
+}
+
+module.exports = RoleManager;
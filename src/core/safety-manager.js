@@ -1,10 +1,35 @@
+const CircuitBreaker = require('./circuit-breaker');
+
 class SafetyManager {
   constructor() {
     this.activeRequests = 0;
     this.queue = [];
+    this.lanes = new Map();
     this.isShuttingDown = false;
     this.maxConcurrent = parseInt(process.env.MAX_CONCURRENT_REQUESTS) || 5;
     this.maxRequestTime = parseInt(process.env.MAX_REQUEST_TIME) || 25000;
+    
+    // Per-sender limits: a sliding one-minute window for messages, and daily
+    // (UTC) quotas for the expensive work
+    this.rateLimitsEnabled = process.env.RATE_LIMITS_ENABLED !== 'false';
+    this.limits = {
+      messages: { max: parseInt(process.env.RATE_LIMIT_MESSAGES_PER_MINUTE) || 20, windowMs: 60 * 1000 },
+      ai: { max: parseInt(process.env.AI_CALLS_PER_DAY) || 100, daily: true },
+      documents: { max: parseInt(process.env.DOCUMENT_UPLOADS_PER_DAY) || 20, daily: true }
+    };
+    this.usage = new Map();
+    this.maxTrackedUsers = 10000;
+    this.rejections = { messages: 0, ai: 0, documents: 0 };
+    
+    // Retries and circuit breakers for external calls (LLM, Supabase, Twilio)
+    this.retryAttempts = parseInt(process.env.RETRY_MAX_ATTEMPTS) || 3;
+    this.retryBaseDelay = parseInt(process.env.RETRY_BASE_DELAY_MS) || 250;
+    this.retryMaxDelay = parseInt(process.env.RETRY_MAX_DELAY_MS) || 4000;
+    this.breakerOptions = {
+      failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5,
+      resetTimeoutMs: (parseInt(process.env.CIRCUIT_RESET_SECONDS) || 30) * 1000
+    };
+    this.breakers = new Map();
   }
 
   async processWithTimeout(operation, operationName, timeoutMs = null) {
@@ -25,8 +50,9 @@ class SafetyManager {
       const timeoutId = setTimeout(() => {
         console.error(`⏰ TIMEOUT: ${operationName} (${actualTimeout}ms)`);
         reject(new Error(`Operation timed out after ${actualTimeout}ms`));
-        this.activeRequests--;
-        
+        // The slot is released in finally, once the operation really stops;
+        // releasing it here too drove activeRequests negative
+
         const index = this.queue.findIndex(req => req.resolve === resolve);
         if (index > -1) {
           this.queue.splice(index, 1);
@@ -51,6 +77,235 @@ class SafetyManager {
     });
   }
 
+  // Runs operations that share a laneKey (e.g. the sender) one at a time in
+  // arrival order, while different lanes still share the global concurrency limit
+  processInLane(laneKey, operation, operationName, timeoutMs = null) {
+    const previous = this.lanes.get(laneKey) || Promise.resolve();
+    let started = false;
+    let finished;
+    const done = new Promise(resolve => { finished = resolve; });
+    
+    // The next message waits for this operation to really finish, even if it
+    // outlives its timeout, so two messages from one sender never overlap
+    const tail = previous.then(() => done);
+    this.lanes.set(laneKey, tail);
+    tail.then(() => {
+      if (this.lanes.get(laneKey) === tail) {
+        this.lanes.delete(laneKey);
+      }
+    });
+    
+    const run = previous.then(() => this.processWithTimeout(async () => {
+      started = true;
+      try {
+        return await operation();
+      } finally {
+        finished();
+      }
+    }, operationName, timeoutMs));
+    
+    run.catch(() => {
+      // Rejected before it ran (e.g. shutdown) - release the lane
+      if (!started) finished();
+    });
+    
+    return run;
+  }
+
+  // ============ PER-USER LIMITS ============
+  today(now = Date.now()) {
+    return new Date(now).toISOString().substring(0, 10);
+  }
+
+  nextMidnight(now = Date.now()) {
+    const midnight = new Date(now);
+    midnight.setUTCHours(24, 0, 0, 0);
+    return midnight.getTime();
+  }
+
+  getUsage(userId, now = Date.now()) {
+    let usage = this.usage.get(userId);
+    
+    if (!usage) {
+      if (this.usage.size >= this.maxTrackedUsers) {
+        this.pruneUsage(now);
+      }
+      usage = { messages: [], day: this.today(now), ai: 0, documents: 0, warnedUntil: {} };
+      this.usage.set(userId, usage);
+    }
+    
+    if (usage.day !== this.today(now)) {
+      usage.day = this.today(now);
+      usage.ai = 0;
+      usage.documents = 0;
+    }
+    
+    const windowStart = now - this.limits.messages.windowMs;
+    usage.messages = usage.messages.filter(sentAt => sentAt > windowStart);
+    return usage;
+  }
+
+  // Forgets users with nothing in the current window or day
+  pruneUsage(now = Date.now()) {
+    const windowStart = now - this.limits.messages.windowMs;
+    for (const [userId, usage] of this.usage) {
+      const active = usage.messages.some(sentAt => sentAt > windowStart) ||
+        (usage.day === this.today(now) && (usage.ai > 0 || usage.documents > 0));
+      if (!active) this.usage.delete(userId);
+    }
+  }
+
+  // Checks a limit without using it up. Returns { allowed, kind, max, used, retryAt }.
+  checkLimit(userId, kind, now = Date.now()) {
+    const limit = this.limits[kind];
+    if (!this.rateLimitsEnabled || !limit || !userId) {
+      return { allowed: true, kind };
+    }
+    
+    const usage = this.getUsage(userId, now);
+    const used = limit.daily ? usage[kind] : usage.messages.length;
+    if (used < limit.max) {
+      return { allowed: true, kind, max: limit.max, used };
+    }
+    
+    const retryAt = limit.daily
+      ? this.nextMidnight(now)
+      : usage.messages[0] + limit.windowMs;
+    return { allowed: false, kind, max: limit.max, used, retryAt };
+  }
+
+  recordUsage(userId, kind, now = Date.now()) {
+    if (!this.rateLimitsEnabled || !this.limits[kind] || !userId) return;
+    
+    const usage = this.getUsage(userId, now);
+    if (this.limits[kind].daily) {
+      usage[kind]++;
+    } else {
+      usage.messages.push(now);
+    }
+  }
+
+  // Checks and, if allowed, uses up one unit. Rejections carry firstRejection
+  // so callers can answer once per window instead of replying to a flood.
+  consumeLimit(userId, kind, now = Date.now()) {
+    const result = this.checkLimit(userId, kind, now);
+    
+    if (result.allowed) {
+      this.recordUsage(userId, kind, now);
+      return result;
+    }
+    
+    this.rejections[kind]++;
+    const usage = this.getUsage(userId, now);
+    const firstRejection = (usage.warnedUntil[kind] || 0) < now;
+    if (firstRejection) {
+      usage.warnedUntil[kind] = result.retryAt;
+    }
+    
+    console.warn(`🚦 ${kind} limit reached for ${userId.substring(0, 15)}... (${result.used}/${result.max})`);
+    return { ...result, firstRejection };
+  }
+
+  noteRejection(userId, kind) {
+    this.rejections[kind]++;
+    console.warn(`🚦 ${kind} limit reached for ${userId.substring(0, 15)}...`);
+  }
+
+  getRateLimitStats() {
+    return {
+      enabled: this.rateLimitsEnabled,
+      limits: {
+        messagesPerMinute: this.limits.messages.max,
+        aiCallsPerDay: this.limits.ai.max,
+        documentUploadsPerDay: this.limits.documents.max
+      },
+      trackedUsers: this.usage.size,
+      rejected: { ...this.rejections }
+    };
+  }
+
+  // ============ RESILIENCE ============
+  getBreaker(dependency) {
+    if (!this.breakers.has(dependency)) {
+      this.breakers.set(dependency, new CircuitBreaker(dependency, this.breakerOptions));
+    }
+    return this.breakers.get(dependency);
+  }
+
+  // Network failures, timeouts, 408/429 and 5xx are worth retrying;
+  // anything else (bad request, auth, validation) would fail the same way again
+  isTransientError(error) {
+    if (!error || error.code === 'CIRCUIT_OPEN') return false;
+    
+    const status = error.status ?? error.response?.status;
+    if (status) {
+      return status === 408 || status === 429 || status >= 500;
+    }
+    
+    const transientCodes = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH'];
+    return transientCodes.includes(error.code) ||
+      /fetch failed|network|timed? ?out|socket hang up/i.test(error.message || '');
+  }
+
+  // Failures before a connection was made, so the request never arrived
+  isConnectError(error) {
+    const connectCodes = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+    return connectCodes.includes(error?.code) || connectCodes.includes(error?.cause?.code);
+  }
+
+  // Exponential backoff with full jitter, so retrying clients don't move in lockstep
+  backoffDelay(attempt) {
+    const ceiling = Math.min(this.retryMaxDelay, this.retryBaseDelay * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  // Runs an external call behind the dependency's circuit breaker, retrying
+  // transient errors. While the breaker is open it fails fast with CIRCUIT_OPEN.
+  // Pass idempotent: false for calls that mustn't run twice (sending a message,
+  // inserting a row): after a timeout or 5xx the first attempt may have landed,
+  // so those are only retried when the request never got through.
+  async withResilience(dependency, operation, { attempts = this.retryAttempts, idempotent = true } = {}) {
+    const breaker = this.getBreaker(dependency);
+    
+    for (let attempt = 0; ; attempt++) {
+      if (!breaker.canRequest()) {
+        const error = new Error(`${dependency} is temporarily unavailable (circuit open)`);
+        error.code = 'CIRCUIT_OPEN';
+        throw error;
+      }
+      
+      try {
+        const result = await operation();
+        breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        if (!this.isTransientError(error)) {
+          // The dependency answered, it just refused this request
+          breaker.recordSuccess();
+          throw error;
+        }
+        
+        breaker.recordFailure(error);
+        const retryable = idempotent || this.isConnectError(error);
+        if (!retryable || attempt + 1 >= attempts || breaker.state === 'open') {
+          throw error;
+        }
+        
+        const delay = this.backoffDelay(attempt);
+        console.warn(`🔁 ${dependency} call failed (${error.message}) - retry ${attempt + 1}/${attempts - 1} in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  getBreakerStats() {
+    const stats = {};
+    for (const [dependency, breaker] of this.breakers) {
+      stats[dependency] = breaker.getState();
+    }
+    return stats;
+  }
+
   initiateShutdown() {
     this.isShuttingDown = true;
     
@@ -66,8 +321,11 @@ class SafetyManager {
     return {
       activeRequests: this.activeRequests,
       queueSize: this.queue.length,
+      activeLanes: this.lanes.size,
       isShuttingDown: this.isShuttingDown,
-      maxConcurrent: this.maxConcurrent
+      maxConcurrent: this.maxConcurrent,
+      rateLimits: this.getRateLimitStats(),
+      breakers: this.getBreakerStats()
     };
   }
 }
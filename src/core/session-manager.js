@@ -0,0 +1,211 @@
+const path = require('path');
+const MemorySessionStore = require('./session-stores/memory-session-store');
+const FileSessionStore = require('./session-stores/file-session-store');
+const SupabaseSessionStore = require('./session-stores/supabase-session-store');
+
+// Chooses a session backend (SESSION_STORE=memory|file|sqlite|supabase),
+// expires idle sessions and sweeps them in the background.
+//
+// Uploaded documents (full text and chunk embeddings) are kept out of the
+// session record: persistent backends store them in a second store, written
+// only when the library changes, and the session keeps just their metadata.
+class SessionManager {
+  constructor(supabase = null) {
+    this.ttlMs = (parseInt(process.env.SESSION_TTL_HOURS) || 72) * 60 * 60 * 1000;
+    this.sweepIntervalMs = (parseInt(process.env.SESSION_SWEEP_MINUTES) || 10) * 60 * 1000;
+    this.store = this.createStore(process.env.SESSION_STORE || 'file', supabase, 'sessions');
+    // The memory store keeps the session object itself, so there's nothing to split off
+    this.documentStore = this.store.name === 'memory'
+      ? null
+      : this.createStore(this.store.name, supabase, 'session_documents');
+    // userId -> { ids, contents } for the documents last loaded or saved
+    this.documentCache = new Map();
+    this.documentCacheSize = parseInt(process.env.SESSION_DOCUMENT_CACHE) || 50;
+    this.sweepTimer = null;
+    
+    console.log(`✅ Session store: ${this.store.name} (idle TTL ${Math.round(this.ttlMs / 3600000)}h)`);
+  }
+
+  createStore(name, supabase, table) {
+    switch (name) {
+      case 'memory':
+        return new MemorySessionStore();
+      case 'sqlite':
+        try {
+          const SqliteSessionStore = require('./session-stores/sqlite-session-store');
+          return new SqliteSessionStore(this.sqlitePath(), table);
+        } catch (error) {
+          console.warn(`⚠️  SESSION_STORE=sqlite unavailable (${error.message}) - install better-sqlite3. Using file store`);
+          return new FileSessionStore(this.fileDirectory(table));
+        }
+      case 'supabase':
+        if (supabase) return new SupabaseSessionStore(supabase, table);
+        console.warn('⚠️  SESSION_STORE=supabase but Supabase is not configured - using file store');
+        return new FileSessionStore(this.fileDirectory(table));
+      case 'file':
+        return new FileSessionStore(this.fileDirectory(table));
+      default:
+        console.warn(`⚠️  Unknown SESSION_STORE "${name}" - using file store`);
+        return new FileSessionStore(this.fileDirectory(table));
+    }
+  }
+
+  fileDirectory(table = 'sessions') {
+    const directory = process.env.SESSION_DIR || path.join(__dirname, '../../data/sessions');
+    return table === 'sessions' ? directory : path.join(directory, table);
+  }
+
+  sqlitePath() {
+    return process.env.SESSION_DB || path.join(__dirname, '../../data/sessions.db');
+  }
+
+  isExpired(session, now = Date.now()) {
+    return !session.lastActivity || now - session.lastActivity > this.ttlMs;
+  }
+
+  // Returns the stored session, or null if there is none or it has expired
+  async get(userId) {
+    const session = await this.store.get(userId);
+    if (!session) return null;
+    
+    if (this.isExpired(session)) {
+      await this.delete(userId);
+      return null;
+    }
+    
+    if (this.documentStore) {
+      await this.loadDocuments(userId, session);
+    }
+    return session;
+  }
+
+  async set(userId, session) {
+    if (!this.documentStore) {
+      return this.store.set(userId, session);
+    }
+    
+    await this.saveDocuments(userId, session.documents || []);
+    await this.store.set(userId, {
+      ...session,
+      documents: (session.documents || []).map(({ text, chunks, ...metadata }) => metadata)
+    });
+  }
+
+  async delete(userId) {
+    await this.store.delete(userId);
+    if (this.documentStore) {
+      this.documentCache.delete(userId);
+      await this.documentStore.delete(userId);
+    }
+  }
+
+  // ============ DOCUMENTS ============
+  
+  documentIds(documents) {
+    return documents.map(doc => doc.id).join(',');
+  }
+
+  cacheDocuments(userId, documents) {
+    const contents = Object.fromEntries(documents.map(doc => [doc.id, { text: doc.text, chunks: doc.chunks }]));
+    
+    // Most recently used last, so the first key is the one to drop
+    this.documentCache.delete(userId);
+    this.documentCache.set(userId, { ids: this.documentIds(documents), contents });
+    if (this.documentCache.size > this.documentCacheSize) {
+      this.documentCache.delete(this.documentCache.keys().next().value);
+    }
+  }
+
+  // Puts text and chunks back on the session's document metadata
+  async loadDocuments(userId, session) {
+    const documents = session.documents || [];
+    // Sessions saved before documents were split off still carry them inline
+    if (documents.length === 0 || documents.every(doc => doc.chunks)) return;
+    
+    let cached = this.documentCache.get(userId);
+    if (!cached || cached.ids !== this.documentIds(documents)) {
+      const contents = await this.documentStore.get(userId) || {};
+      cached = { ids: this.documentIds(documents), contents };
+    }
+    
+    // Anything whose content is gone (swept, or lost with the store) drops out of the library
+    session.documents = documents
+      .filter(doc => cached.contents[doc.id])
+      .map(doc => ({ ...doc, ...cached.contents[doc.id] }));
+    if (!session.documents.some(doc => doc.id === session.activeDocumentId)) {
+      session.activeDocumentId = session.documents[session.documents.length - 1]?.id || null;
+    }
+    
+    this.cacheDocuments(userId, session.documents);
+  }
+
+  // Documents never change after upload, so they're only written when the set of ids does
+  async saveDocuments(userId, documents) {
+    if (this.documentCache.get(userId)?.ids === this.documentIds(documents)) return;
+    
+    if (documents.length > 0) {
+      await this.documentStore.set(userId, Object.fromEntries(
+        documents.map(doc => [doc.id, { text: doc.text, chunks: doc.chunks }])
+      ));
+    } else {
+      await this.documentStore.delete(userId);
+    }
+    this.cacheDocuments(userId, documents);
+  }
+
+  async count() {
+    return this.store.count();
+  }
+
+  async sweep() {
+    try {
+      const cutoff = Date.now() - this.ttlMs;
+      const removed = await this.store.deleteIdleSince(cutoff);
+      if (removed > 0) {
+        console.log(`🧹 Expired ${removed} idle session(s)`);
+      }
+      
+      if (this.documentStore) {
+        await this.sweepDocuments(cutoff);
+      }
+      return removed;
+    } catch (error) {
+      console.error('Session sweep error:', error.message);
+      return 0;
+    }
+  }
+
+  // A documents record is only as old as the last upload, so one past the TTL
+  // is removed only once its session is gone too
+  async sweepDocuments(cutoff) {
+    let removed = 0;
+    
+    for (const userId of await this.documentStore.idleSince(cutoff)) {
+      const session = await this.store.get(userId);
+      if (!session || this.isExpired(session)) {
+        this.documentCache.delete(userId);
+        await this.documentStore.delete(userId);
+        removed++;
+      }
+    }
+    
+    if (removed > 0) {
+      console.log(`🧹 Removed documents of ${removed} expired session(s)`);
+    }
+  }
+
+  startSweeper() {
+    if (this.sweepTimer) return;
+    
+    this.sweepTimer = setInterval(() => this.sweep(), this.sweepIntervalMs);
+    // Never keep the process alive just to sweep
+    this.sweepTimer.unref();
+  }
+
+  stopSweeper() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+}
+
+module.exports = SessionManager;
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+
+// One JSON file per user. The file's mtime doubles as the last-activity time,
+// so sweeping never has to parse session bodies.
+class FileSessionStore {
+  constructor(directory) {
+    this.name = 'file';
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  filePath(userId) {
+    return path.join(this.directory, `${Buffer.from(userId).toString('base64url')}.json`);
+  }
+
+  async get(userId) {
+    try {
+      const data = await fs.promises.readFile(this.filePath(userId), 'utf-8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      // A corrupt file shouldn't lock the user out - start them fresh
+      console.error(`Session read error (${userId.substring(0, 15)}...):`, error.message);
+      return null;
+    }
+  }
+
+  async set(userId, session) {
+    const target = this.filePath(userId);
+    const temp = `${target}.${process.pid}.tmp`;
+    
+    // Write-then-rename so a crash mid-write never leaves half a session behind
+    await fs.promises.writeFile(temp, JSON.stringify(session));
+    await fs.promises.rename(temp, target);
+  }
+
+  async delete(userId) {
+    await fs.promises.rm(this.filePath(userId), { force: true });
+  }
+
+  async count() {
+    const files = await fs.promises.readdir(this.directory);
+    return files.filter(file => file.endsWith('.json')).length;
+  }
+
+  async idleSince(cutoff) {
+    const files = await fs.promises.readdir(this.directory);
+    const userIds = [];
+    
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const stats = await fs.promises.stat(path.join(this.directory, file));
+        if (stats.mtimeMs < cutoff) {
+          userIds.push(Buffer.from(path.basename(file, '.json'), 'base64url').toString());
+        }
+      } catch (error) {
+        // Removed concurrently - nothing to do
+      }
+    }
+    
+    return userIds;
+  }
+
+  async deleteIdleSince(cutoff) {
+    const files = await fs.promises.readdir(this.directory);
+    let removed = 0;
+    
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const filepath = path.join(this.directory, file);
+      try {
+        const stats = await fs.promises.stat(filepath);
+        if (stats.mtimeMs < cutoff) {
+          await fs.promises.rm(filepath, { force: true });
+          removed++;
+        }
+      } catch (error) {
+        // Removed concurrently - nothing to do
+      }
+    }
+    
+    return removed;
+  }
+}
+
+module.exports = FileSessionStore;
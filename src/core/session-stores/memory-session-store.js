@@ -0,0 +1,41 @@
+class MemorySessionStore {
+  constructor() {
+    this.name = 'memory';
+    this.sessions = new Map();
+  }
+
+  async get(userId) {
+    return this.sessions.get(userId) || null;
+  }
+
+  async set(userId, session) {
+    this.sessions.set(userId, session);
+  }
+
+  async delete(userId) {
+    this.sessions.delete(userId);
+  }
+
+  async count() {
+    return this.sessions.size;
+  }
+
+  async idleSince(cutoff) {
+    return [...this.sessions]
+      .filter(([, session]) => session.lastActivity < cutoff)
+      .map(([userId]) => userId);
+  }
+
+  async deleteIdleSince(cutoff) {
+    let removed = 0;
+    for (const [userId, session] of this.sessions) {
+      if (session.lastActivity < cutoff) {
+        this.sessions.delete(userId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = MemorySessionStore;
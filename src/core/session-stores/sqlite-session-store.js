@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+
+// Rows in a local SQLite file (SESSION_DB). better-sqlite3 is an optional
+// dependency, so requiring this store throws if it couldn't be installed.
+class SqliteSessionStore {
+  constructor(filePath, table = 'sessions') {
+    const Database = require('better-sqlite3');
+
+    this.name = 'sqlite';
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    this.db = new Database(filePath);
+    // WAL lets the session and document stores share the file without blocking each other
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(
+      `create table if not exists ${table} (user_id text primary key, data text not null, updated_at integer not null);` +
+      `create index if not exists ${table}_updated_at_idx on ${table} (updated_at);`
+    );
+
+    this.statements = {
+      get: this.db.prepare(`select data from ${table} where user_id = ?`),
+      set: this.db.prepare(
+        `insert into ${table} (user_id, data, updated_at) values (?, ?, ?) ` +
+        'on conflict (user_id) do update set data = excluded.data, updated_at = excluded.updated_at'
+      ),
+      delete: this.db.prepare(`delete from ${table} where user_id = ?`),
+      count: this.db.prepare(`select count(*) as count from ${table}`),
+      idleSince: this.db.prepare(`select user_id from ${table} where updated_at < ?`),
+      deleteIdleSince: this.db.prepare(`delete from ${table} where updated_at < ?`)
+    };
+  }
+
+  async get(userId) {
+    const row = this.statements.get.get(userId);
+    if (!row) return null;
+
+    try {
+      return JSON.parse(row.data);
+    } catch (error) {
+      console.error(`Session read error (${userId.substring(0, 15)}...):`, error.message);
+      return null;
+    }
+  }
+
+  async set(userId, data) {
+    this.statements.set.run(userId, JSON.stringify(data), data.lastActivity || Date.now());
+  }
+
+  async delete(userId) {
+    this.statements.delete.run(userId);
+  }
+
+  async count() {
+    return this.statements.count.get().count;
+  }
+
+  async idleSince(cutoff) {
+    return this.statements.idleSince.all(cutoff).map(row => row.user_id);
+  }
+
+  async deleteIdleSince(cutoff) {
+    return this.statements.deleteIdleSince.run(cutoff).changes;
+  }
+}
+
+module.exports = SqliteSessionStore;
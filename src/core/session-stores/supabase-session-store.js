@@ -0,0 +1,71 @@
+class SupabaseSessionStore {
+  constructor(supabase, table = 'sessions') {
+    this.name = 'supabase';
+    this.supabase = supabase;
+    this.table = table;
+  }
+
+  async get(userId) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('data')
+      .eq('user_id', userId)
+      .limit(1);
+    
+    if (error) throw error;
+    return data && data.length > 0 ? data[0].data : null;
+  }
+
+  async set(userId, session) {
+    const { error } = await this.supabase
+      .from(this.table)
+      .upsert({
+        user_id: userId,
+        data: session,
+        updated_at: new Date(session.lastActivity || Date.now()).toISOString()
+      }, { onConflict: 'user_id' });
+    
+    if (error) throw error;
+  }
+
+  async delete(userId) {
+    const { error } = await this.supabase
+      .from(this.table)
+      .delete()
+      .eq('user_id', userId);
+    
+    if (error) throw error;
+  }
+
+  async count() {
+    const { count, error } = await this.supabase
+      .from(this.table)
+      .select('*', { count: 'exact', head: true });
+    
+    if (error) throw error;
+    return count || 0;
+  }
+
+  async idleSince(cutoff) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('user_id')
+      .lt('updated_at', new Date(cutoff).toISOString());
+    
+    if (error) throw error;
+    return (data || []).map(row => row.user_id);
+  }
+
+  async deleteIdleSince(cutoff) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .delete()
+      .lt('updated_at', new Date(cutoff).toISOString())
+      .select('user_id');
+    
+    if (error) throw error;
+    return data ? data.length : 0;
+  }
+}
+
+module.exports = SupabaseSessionStore;
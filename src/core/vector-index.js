@@ -0,0 +1,56 @@
+class VectorIndex {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  static cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+  }
+
+  add(id, vector, payload = {}) {
+    this.entries.set(id, { id, vector, payload });
+  }
+
+  remove(id) {
+    return this.entries.delete(id);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  search(queryVector, { topK = 5, threshold = 0, filter = null } = {}) {
+    const results = [];
+    
+    for (const entry of this.entries.values()) {
+      if (filter && !filter(entry.payload)) continue;
+      
+      const score = VectorIndex.cosineSimilarity(queryVector, entry.vector);
+      if (score >= threshold) {
+        results.push({ id: entry.id, score, payload: entry.payload });
+      }
+    }
+    
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+}
+
+module.exports = VectorIndex;
@@ -1,23 +1,97 @@
 const gTTS = require('gtts');
-const { spawn } = require('child_process');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+const { Readable } = require('stream');
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 
+// Whisper expects 16 kHz mono float32 PCM
+const WHISPER_SAMPLE_RATE = 16000;
+
 class VoiceProcessor {
   constructor() {
     this.whisperModel = null;
     this.isModelLoading = false;
     this.modelLoadQueue = [];
+    
+    this.enabled = process.env.VOICE_ENABLED !== 'false';
+    this.whisperModelName = process.env.WHISPER_MODEL || 'Xenova/whisper-tiny';
+    this.whisperLanguage = process.env.WHISPER_LANGUAGE || null;
+    this.maxAudioSeconds = parseInt(process.env.MAX_VOICE_SECONDS) || 300;
+    
+    this.ttsLanguage = process.env.TTS_LANGUAGE || 'en';
+    this.maxClipChars = parseInt(process.env.TTS_CLIP_CHARS) || 500;
+    this.maxClipsPerReply = parseInt(process.env.TTS_MAX_CLIPS) || 5;
+    this.mediaTtlMs = (parseInt(process.env.VOICE_REPLY_TTL_MINUTES) || 60) * 60 * 1000;
+    
+    if (ffmpegPath) {
+      ffmpeg.setFfmpegPath(ffmpegPath);
+    }
+  }
+
+  async loadWhisperModel() {
+    if (this.whisperModel) return this.whisperModel;
+    
+    // Callers arriving while the model downloads wait for the same load
+    if (this.isModelLoading) {
+      return new Promise((resolve, reject) => {
+        this.modelLoadQueue.push({ resolve, reject });
+      });
+    }
+    
+    this.isModelLoading = true;
+    console.log(`🎤 Loading Whisper model (${this.whisperModelName})...`);
+    
+    try {
+      // @xenova/transformers is ESM-only
+      const { pipeline } = await import('@xenova/transformers');
+      this.whisperModel = await pipeline('automatic-speech-recognition', this.whisperModelName);
+      console.log('✅ Whisper model ready');
+      
+      this.modelLoadQueue.forEach(({ resolve }) => resolve(this.whisperModel));
+      return this.whisperModel;
+    } catch (error) {
+      console.error('Whisper model load error:', error.message);
+      this.modelLoadQueue.forEach(({ reject }) => reject(error));
+      throw error;
+    } finally {
+      this.modelLoadQueue = [];
+      this.isModelLoading = false;
+    }
+  }
+
+  async convertAudioToPCM(audioBuffer) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      
+      const output = ffmpeg(Readable.from(audioBuffer))
+        .noVideo()
+        .audioChannels(1)
+        .audioFrequency(WHISPER_SAMPLE_RATE)
+        .duration(this.maxAudioSeconds)
+        .format('f32le')
+        .on('error', (err) => reject(new Error(`Audio conversion error: ${err.message}`)))
+        .pipe();
+      
+      output.on('data', (chunk) => chunks.push(chunk));
+      output.on('error', (err) => reject(new Error(`Audio conversion error: ${err.message}`)));
+      output.on('end', () => {
+        const pcm = Buffer.concat(chunks);
+        const usableBytes = pcm.length - (pcm.length % Float32Array.BYTES_PER_ELEMENT);
+        // slice() copies into a fresh, properly aligned ArrayBuffer
+        resolve(new Float32Array(pcm.buffer.slice(pcm.byteOffset, pcm.byteOffset + usableBytes)));
+      });
+    });
   }
 
   async textToSpeech(text, language = 'en') {
     return new Promise((resolve, reject) => {
       try {
-        const safeText = text.replace(/\*\*/g, '').replace(/`/g, '').substring(0, 500);
+        const safeText = text.replace(/\*\*/g, '').replace(/`/g, '').substring(0, this.maxClipChars);
         
         const tts = new gTTS(safeText, language);
-        const tempFile = path.join(__dirname, '../../temp', `tts-${Date.now()}.mp3`);
+        const tempFile = path.join(__dirname, '../../temp', `tts-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.mp3`);
         
         // Ensure temp directory exists
         const tempDir = path.dirname(tempFile);
@@ -42,6 +116,87 @@ class VoiceProcessor {
     });
   }
 
+  cleanTextForSpeech(text) {
+    return text
+      .replace(/https?:\/\/\S+/g, '') // Links are useless read aloud
+      .replace(/[*_~`]/g, '') // WhatsApp formatting markers
+      .replace(/[\u{1F300}-\u{1FAFF}\u{2600}-\u{27BF}\u{FE0F}]/gu, '') // Emoji
+      .replace(/^\s*[•\-]\s*/gm, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  splitTextForSpeech(text, maxLength = this.maxClipChars) {
+    const sentences = text.match(/[^.!?]+[.!?]*\s*/g) || [];
+    const clips = [];
+    let current = '';
+    
+    for (const sentence of sentences) {
+      // Sentences longer than a clip get cut at word boundaries
+      let remaining = sentence;
+      while (remaining.length > maxLength) {
+        const cut = remaining.lastIndexOf(' ', maxLength);
+        const splitAt = cut > 0 ? cut : maxLength;
+        if (current.trim()) clips.push(current.trim());
+        current = '';
+        clips.push(remaining.substring(0, splitAt).trim());
+        remaining = remaining.substring(splitAt);
+      }
+      
+      if ((current + remaining).length > maxLength) {
+        if (current.trim()) clips.push(current.trim());
+        current = remaining;
+      } else {
+        current += remaining;
+      }
+    }
+    
+    if (current.trim()) clips.push(current.trim());
+    return clips;
+  }
+
+  // Returns { mediaPaths, shortened }; shortened is set when the reply had
+  // more clips than TTS_MAX_CLIPS and the rest were left out
+  async createVoiceReply(text, language = this.ttsLanguage) {
+    const clips = this.splitTextForSpeech(this.cleanTextForSpeech(text));
+    const shortened = clips.length > this.maxClipsPerReply;
+    
+    if (shortened) {
+      console.warn(`🔊 Voice reply limited to ${this.maxClipsPerReply} of ${clips.length} clips`);
+    }
+    
+    const replyId = `reply-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const mediaPaths = [];
+    
+    // Sequential so the clips keep their order and we don't hammer the TTS service
+    for (const [index, clip] of clips.slice(0, this.maxClipsPerReply).entries()) {
+      const audio = await this.textToSpeech(clip, language);
+      mediaPaths.push(await this.saveAudioToFile(audio, `${replyId}-${index + 1}.mp3`));
+    }
+    
+    this.cleanupOldReplies().catch(error => {
+      console.error('Voice reply cleanup error:', error.message);
+    });
+    
+    return { mediaPaths, shortened };
+  }
+
+  async cleanupOldReplies() {
+    const mediaDir = path.join(__dirname, '../../public/media');
+    if (!fs.existsSync(mediaDir)) return;
+    
+    const cutoff = Date.now() - this.mediaTtlMs;
+    const files = await fs.promises.readdir(mediaDir);
+    
+    for (const file of files.filter(name => name.startsWith('reply-'))) {
+      const filepath = path.join(mediaDir, file);
+      const stats = await fs.promises.stat(filepath);
+      if (stats.mtimeMs < cutoff) {
+        await fs.promises.unlink(filepath);
+      }
+    }
+  }
+
   async saveAudioToFile(audioBuffer, filename) {
     return new Promise((resolve, reject) => {
       const mediaDir = path.join(__dirname, '../../public/media');
@@ -75,11 +230,34 @@ class VoiceProcessor {
   }
 
   async convertAudioToText(audioBuffer) {
-    // Note: For WhatsApp, voice messages are in .ogg format
-    // This requires ffmpeg conversion and Whisper model
-    // For now, return a placeholder message
+    if (!this.enabled) {
+      throw new Error('Voice processing is disabled. Set VOICE_ENABLED=true to enable.');
+    }
+    
+    // WhatsApp voice notes arrive as OGG/Opus
+    const samples = await this.convertAudioToPCM(audioBuffer);
+    if (samples.length === 0) return '';
+    
+    const transcriber = await this.loadWhisperModel();
+    
+    const options = {
+      chunk_length_s: 30,
+      stride_length_s: 5
+    };
+    if (this.whisperLanguage) {
+      options.language = this.whisperLanguage;
+      options.task = 'transcribe';
+    }
+    
+    const startTime = Date.now();
+    const result = await transcriber(samples, options);
+    const text = (result?.text || '')
+      .replace(/\[[A-Z_ ]+\]/g, '') // Whisper markers such as [BLANK_AUDIO]
+      .replace(/\s+/g, ' ')
+      .trim();
     
-    return "Voice message received! I'm working on voice-to-text conversion. For now, please send text messages.";
+    console.log(`🎤 Transcribed ${(samples.length / WHISPER_SAMPLE_RATE).toFixed(1)}s of audio in ${Date.now() - startTime}ms`);
+    return text;
   }
 
   async processVoiceMessage(audioUrl) {
@@ -93,7 +271,7 @@ class VoiceProcessor {
       // Save to file
       const publicUrl = await this.saveAudioToFile(audioBuffer, filename);
       
-      // Convert to text (simplified for now)
+      // Convert to text
       const text = await this.convertAudioToText(audioBuffer);
       
       return {
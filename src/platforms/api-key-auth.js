@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// Guards admin HTTP endpoints with a shared key from ADMIN_API_KEY, sent as
+// "X-API-Key: <key>" or "Authorization: Bearer <key>". With no key configured
+// the endpoints are switched off rather than left open.
+class ApiKeyAuth {
+  constructor(apiKey = process.env.ADMIN_API_KEY) {
+    this.apiKey = apiKey || null;
+    this.enabled = !!this.apiKey;
+  }
+
+  extractKey(req) {
+    const header = req.get('X-API-Key');
+    if (header) return header;
+    
+    const authorization = req.get('Authorization') || '';
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1] : null;
+  }
+
+  isValid(key) {
+    if (!key || !this.apiKey) return false;
+    
+    const given = crypto.createHash('sha256').update(key).digest();
+    const expected = crypto.createHash('sha256').update(this.apiKey).digest();
+    return crypto.timingSafeEqual(given, expected);
+  }
+
+  middleware() {
+    return (req, res, next) => {
+      if (!this.enabled) {
+        return res.status(503).json({ error: 'Admin API disabled - set ADMIN_API_KEY to enable it' });
+      }
+      
+      if (!this.isValid(this.extractKey(req))) {
+        console.warn(`🚫 Rejected admin API request to ${req.originalUrl} from ${req.ip}`);
+        return res.status(401).json({ error: 'Invalid or missing API key' });
+      }
+      
+      next();
+    };
+  }
+}
+
+module.exports = ApiKeyAuth;
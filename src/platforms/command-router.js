@@ -0,0 +1,138 @@
+// Declarative chat commands. Each command declares how it is triggered, which
+// session states it applies in, its help text and a handler:
+//
+//   router.register({
+//     name: 'use-doc',
+//     triggers: { regex: [/^use doc(?:ument)?\s*#?(\d+)$/] },
+//     states: ['document'],                // optional - omitted means always
+//     exceptStates: ['edit_answer'],       // optional - never in these states
+//     help: { section: '📄 *Documents:*', text: '"use doc 2" - Switch document' },
+//     handler: (bot, { from, session, match }) => ...
+//   });
+//
+// Triggers: exact (whole message), aliases (more exact phrases, left out of
+// help), prefix (first words; the rest of the message becomes ctx.args),
+// regex (ctx.match holds the result), or catchAll for flows that take any
+// message while their state is active. Commands are tried in registration
+// order, catchAll ones only after every other command's triggers.
+//
+// A catchAll marked exclusive is an input flow (the question being taught, an
+// edited answer, a yes/no): while it's active, other commands only match their
+// exact phrases and aliases, so an answer that happens to start with "find" or
+// "show 12" goes to the flow.
+//
+// permission names what the sender's role must allow (see RoleManager);
+// without one a command needs 'chat'. The bot checks it after routing.
+class CommandRouter {
+  constructor(resolveStates = () => []) {
+    this.commands = [];
+    this.resolveStates = resolveStates;
+  }
+
+  register(command) {
+    if (!command.name || typeof command.handler !== 'function') {
+      throw new Error('A command needs a name and a handler');
+    }
+    if (this.commands.some(existing => existing.name === command.name)) {
+      throw new Error(`Command "${command.name}" is already registered`);
+    }
+    
+    this.commands.push({ triggers: {}, ...command });
+    return this;
+  }
+
+  registerAll(commands) {
+    commands.forEach(command => this.register(command));
+    return this;
+  }
+
+  // Lowercase, single spaces, no trailing punctuation ("Help!" -> "help")
+  normalize(message) {
+    return message.toLowerCase().replace(/\s+/g, ' ').trim().replace(/[.!?]+$/, '').trim();
+  }
+
+  // Returns { command, normalized, args, match } for the first command that
+  // applies, or null so the caller can fall back to a normal answer
+  route(message, session) {
+    const normalized = this.normalize(message);
+    const states = this.resolveStates(session);
+    const commands = this.commands.filter(command => this.appliesIn(command, states));
+    const inFlow = commands.some(command => command.catchAll && command.exclusive);
+    const ordered = inFlow
+      ? commands
+      : [...commands.filter(command => !command.catchAll), ...commands.filter(command => command.catchAll)];
+    
+    for (const command of ordered) {
+      const exactOnly = inFlow && !command.catchAll;
+      const found = this.matchTriggers(command, message.trim(), normalized, exactOnly);
+      if (found) {
+        return { command, normalized, args: '', match: null, ...found };
+      }
+    }
+    
+    return null;
+  }
+
+  appliesIn(command, states) {
+    if (command.states && !command.states.some(state => states.includes(state))) {
+      return false;
+    }
+    return !(command.exceptStates || []).some(state => states.includes(state));
+  }
+
+  matchTriggers(command, message, normalized, exactOnly = false) {
+    const { exact = [], aliases = [], prefix = [], regex = [] } = command.triggers;
+    
+    if (exact.includes(normalized) || aliases.includes(normalized)) {
+      return {};
+    }
+    if (exactOnly) return null;
+    
+    for (const start of prefix) {
+      if (normalized === start || normalized.startsWith(`${start} `)) {
+        // Arguments keep the user's own casing
+        const args = message.replace(/\s+/g, ' ').substring(start.length).trim();
+        return { args };
+      }
+    }
+    
+    for (const pattern of regex) {
+      const match = normalized.match(pattern);
+      if (match) return { match };
+    }
+    
+    if (command.catchAll) {
+      return { args: message };
+    }
+    
+    return null;
+  }
+
+  // Help text built from the registered commands, grouped by section in
+  // registration order. help.text may be a string, a list of lines, or a
+  // function of (bot, session) returning either. include(command) can hide
+  // commands, e.g. ones the user isn't allowed to run.
+  generateHelp(bot, session, include = () => true) {
+    const sections = new Map();
+    
+    for (const command of this.commands) {
+      if (!command.help || !include(command)) continue;
+      
+      const text = typeof command.help.text === 'function'
+        ? command.help.text(bot, session)
+        : command.help.text;
+      if (!text) continue;
+      
+      if (!sections.has(command.help.section)) {
+        sections.set(command.help.section, []);
+      }
+      sections.get(command.help.section).push(...[].concat(text).map(line => `• ${line}`));
+    }
+    
+    return [...sections.entries()]
+      .map(([section, lines]) => `${section}\n${lines.join('\n')}`)
+      .join('\n\n');
+  }
+}
+
+module.exports = CommandRouter;
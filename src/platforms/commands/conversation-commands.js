@@ -0,0 +1,36 @@
+// Conversation memory, paging through long answers and leaving multi-step flows
+module.exports = [
+  {
+    name: 'cancel',
+    triggers: { exact: ['cancel'], aliases: ['stop', 'never mind', 'nevermind'] },
+    states: ['add_question', 'add_answer', 'edit_answer', 'import_file', 'confirm'],
+    help: { section: '🧹 *Conversation:*', text: '"cancel" - Stop teaching or editing' },
+    handler: (bot, { from, session }) => {
+      console.log('🛑 Cancelling flow');
+      return bot.handleCancel(from, session);
+    }
+  },
+  {
+    name: 'new-chat',
+    triggers: { exact: ['new chat'], aliases: ['forget conversation', 'reset chat'] },
+    help: { section: '🧹 *Conversation:*', text: '"new chat" - Forget our conversation so far' },
+    handler: async (bot, { from, session }) => {
+      console.log('🧹 Resetting conversation');
+      bot.memory.reset(session);
+      await bot.updateSession(from, session);
+      return { text: '🧹 Started a new chat.\n\nI\'ve forgotten our earlier conversation.' };
+    }
+  },
+  {
+    name: 'more',
+    triggers: { exact: ['more'], aliases: ['next'] },
+    // Only while parts of a long answer are still waiting
+    states: ['paging'],
+    help: { section: '🧹 *Conversation:*', text: '"more" - Continue a long answer' },
+    handler: async (bot, { session }) => {
+      console.log('📜 Sending next part of long answer');
+      const parts = bot.splitter.nextPage(session);
+      return { text: parts.join('\n\n'), parts };
+    }
+  }
+];
@@ -0,0 +1,78 @@
+const SECTION = '📄 *Documents:*';
+
+// The user's document library and questions about uploaded documents
+module.exports = [
+  {
+    name: 'docs',
+    triggers: { exact: ['docs'], aliases: ['my docs', 'documents', 'my documents'] },
+    help: {
+      section: SECTION,
+      text: (bot) => [
+        `Send ${bot.documents.describeSupportedTypes()} files to upload`,
+        'Then ask questions about them',
+        '"docs" - List your documents'
+      ]
+    },
+    handler: (bot, { from, session }) => {
+      console.log('📚 Listing documents');
+      return bot.handleListDocuments(from, session);
+    }
+  },
+  {
+    name: 'use-doc',
+    triggers: { regex: [/^use doc(?:ument)?\s*#?(\d+)$/] },
+    help: { section: SECTION, text: '"use doc 2" / "delete doc 3" - Switch or remove' },
+    handler: (bot, { from, session, match }) => {
+      console.log('📄 Switching document');
+      return bot.handleUseDocument(from, parseInt(match[1]), session);
+    }
+  },
+  {
+    name: 'delete-doc',
+    triggers: { regex: [/^delete doc(?:ument)?\s*#?(\d+)$/] },
+    handler: (bot, { from, session, match }) => {
+      console.log('🗑️ Deleting document');
+      return bot.handleDeleteDocument(from, parseInt(match[1]), session);
+    }
+  },
+  {
+    name: 'ask-all-docs',
+    triggers: { exact: ['ask all docs'], aliases: ['ask all documents', 'search all docs'] },
+    help: { section: SECTION, text: '"ask all docs" - Search every document' },
+    handler: (bot, { from, session }) => {
+      console.log('📚 Searching whole library');
+      return bot.handleAskAllDocuments(from, session);
+    }
+  },
+  {
+    name: 'summarize',
+    triggers: { exact: ['summarize'], aliases: ['summary', 'summarise'] },
+    states: ['document'],
+    help: { section: SECTION, text: 'Say "summarize" for document summary' },
+    handler: (bot, { from, session }) => bot.handleDocumentSummary(from, session)
+  },
+  {
+    name: 'extract',
+    triggers: { exact: ['extract'], aliases: ['key points'] },
+    states: ['document'],
+    help: { section: SECTION, text: '"extract" - Key points of the document' },
+    handler: (bot, { from, session }) => bot.handleExtractInfo(from, session)
+  },
+  {
+    name: 'save-document',
+    triggers: { exact: ['save document'], aliases: ['save this', 'save doc'] },
+    states: ['document'],
+    permission: 'knowledge:write',
+    help: { section: SECTION, text: '"save document" - Add it to the knowledge base' },
+    handler: (bot, { from, session }) => bot.handleSaveDocument(from, session)
+  },
+  {
+    name: 'document-question',
+    states: ['document_question'],
+    catchAll: true,
+    handler: (bot, { from, args, session }) => {
+      console.log('📄 Processing document question');
+      return bot.handleDocumentQuestion(from, args, session);
+    }
+  }
+];
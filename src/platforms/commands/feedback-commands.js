@@ -0,0 +1,38 @@
+// Optional answer ref, as shown under each answer: "👍 a3f9c2"
+const REF = '(?: (?:ref )?#?([0-9a-f]{6}))?';
+
+// Rating answers and reviewing the ratings
+module.exports = [
+  {
+    name: 'feedback-up',
+    triggers: { regex: [new RegExp(`^(?:👍[\\u{1F3FB}-\\u{1F3FF}]?|\\+1|helpful|thumbs up)${REF}$`, 'u')] },
+    help: { section: '⭐ *Feedback:*', text: '👍 / 👎 - Rate my last answer' },
+    handler: (bot, { from, session, match }) => bot.handleFeedback(from, session, { rating: 1, ref: match[1] })
+  },
+  {
+    name: 'feedback-down',
+    triggers: { regex: [new RegExp(`^(?:👎[\\u{1F3FB}-\\u{1F3FF}]?|-1|not helpful|thumbs down)${REF}$`, 'u')] },
+    handler: (bot, { from, session, match }) => bot.handleFeedback(from, session, { rating: -1, ref: match[1] })
+  },
+  {
+    name: 'feedback-wrong',
+    triggers: { regex: [new RegExp(`^wrong${REF}\\s*:\\s*\\S`)] },
+    help: { section: '⭐ *Feedback:*', text: '"wrong: <the right answer>" - Correct my last answer' },
+    handler: (bot, { from, session, message, match }) => bot.handleFeedback(from, session, {
+      rating: -1,
+      ref: match[1],
+      // The correction keeps the user's own wording and casing
+      correction: message.substring(message.indexOf(':') + 1).trim()
+    })
+  },
+  {
+    name: 'feedback-report',
+    triggers: { exact: ['feedback report'], aliases: ['review feedback', 'feedback review'] },
+    permission: 'feedback:review',
+    help: { section: '⭐ *Feedback:*', text: '"feedback report" - Poorly rated answers to review' },
+    handler: (bot, { from }) => {
+      console.log('📊 Building feedback report');
+      return bot.handleFeedbackReport(from);
+    }
+  }
+];
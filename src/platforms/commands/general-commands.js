@@ -0,0 +1,25 @@
+// Greeting and help
+module.exports = [
+  {
+    name: 'greeting',
+    // Whole-message greetings only - "this" or "which" must not count as "hi"
+    triggers: {
+      regex: [/^(hi|hello|hey|hiya|good (morning|afternoon|evening))( there)?$/]
+    },
+    handler: (bot, { from, session }) => {
+      console.log('👋 Detected greeting');
+      return bot.handleGreeting(from, session);
+    }
+  },
+  {
+    name: 'help',
+    triggers: {
+      exact: ['help'],
+      aliases: ['menu', 'commands', 'options', 'what can you do', 'what can you do for me']
+    },
+    handler: (bot, { from, session }) => {
+      console.log('❓ Detected help request');
+      return bot.handleHelp(from, session);
+    }
+  }
+];
@@ -0,0 +1,12 @@
+// Bot status for the user
+module.exports = [
+  {
+    name: 'stats',
+    triggers: { exact: ['stats'], aliases: ['statistics'] },
+    help: { section: '📊 *Info:*', text: '"stats" - See statistics' },
+    handler: (bot, { from, session }) => {
+      console.log('📊 Getting stats');
+      return bot.handleStats(from, session);
+    }
+  }
+];
@@ -0,0 +1,122 @@
+const SECTION = '🗂️ *Manage knowledge:*';
+
+// Knowledge base ids are numbers (or uuids in some deployments)
+const ID = '#?(\\d+|[0-9a-f]{8}-[0-9a-f-]{27})';
+
+// Browsing and maintaining the knowledge base from chat
+module.exports = [
+  {
+    name: 'list-knowledge',
+    triggers: {
+      regex: [/^list (?:knowledge|kb)(?: (?:page )?(\d+))?$/]
+    },
+    permission: 'knowledge:read',
+    help: { section: SECTION, text: '"list knowledge [page]" - Browse entries' },
+    handler: (bot, { from, match }) => {
+      console.log('📚 Listing knowledge');
+      return bot.handleListKnowledge(from, parseInt(match[1]) || 1);
+    }
+  },
+  {
+    name: 'search-knowledge',
+    triggers: { prefix: ['search knowledge', 'find knowledge'] },
+    permission: 'knowledge:read',
+    handler: (bot, { from, args }) => {
+      console.log('🔎 Finding knowledge');
+      return bot.handleFindKnowledge(from, args);
+    }
+  },
+  {
+    // With a document open, "find ..." is a question about the document
+    name: 'find-knowledge',
+    triggers: { prefix: ['find'] },
+    exceptStates: ['document'],
+    permission: 'knowledge:read',
+    help: { section: SECTION, text: '"find <term>" - Search entries ("search knowledge <term>" while a document is open)' },
+    handler: (bot, { from, args }) => {
+      console.log('🔎 Finding knowledge');
+      return bot.handleFindKnowledge(from, args);
+    }
+  },
+  {
+    name: 'show-knowledge',
+    triggers: { regex: [new RegExp(`^(?:show|view) ${ID}$`)] },
+    permission: 'knowledge:read',
+    help: { section: SECTION, text: '"show <id>" - See an entry' },
+    handler: (bot, { from, match }) => bot.handleShowKnowledge(from, match[1])
+  },
+  {
+    name: 'edit-knowledge',
+    triggers: { regex: [new RegExp(`^edit ${ID}$`)] },
+    permission: 'knowledge:write',
+    help: { section: SECTION, text: '"edit <id>" - Change an answer' },
+    handler: (bot, { from, session, match }) => {
+      console.log('✏️ Editing knowledge');
+      return bot.handleEditKnowledge(from, match[1], session);
+    }
+  },
+  {
+    name: 'forget-knowledge',
+    triggers: { regex: [new RegExp(`^(?:forget|delete) ${ID}$`)] },
+    permission: 'knowledge:write',
+    help: { section: SECTION, text: '"forget <id>" - Delete an entry (asks first)' },
+    handler: (bot, { from, session, match }) => {
+      console.log('🗑️ Forgetting knowledge');
+      return bot.handleForgetKnowledge(from, match[1], session);
+    }
+  },
+  {
+    // Shows who changed what, so it needs more than read access
+    name: 'knowledge-history',
+    triggers: { regex: [new RegExp(`^(?:history|revisions) (?:of )?${ID}$`)] },
+    permission: 'knowledge:write',
+    help: { section: SECTION, text: '"history <id>" - Earlier versions of an entry' },
+    handler: (bot, { from, match }) => {
+      console.log('🕘 Showing knowledge history');
+      return bot.handleKnowledgeHistory(from, match[1]);
+    }
+  },
+  {
+    name: 'revert-knowledge',
+    triggers: { regex: [new RegExp(`^(?:revert|roll ?back|restore) ${ID}(?: to)? (?:r|rev|revision)? ?(\\d+)$`)] },
+    permission: 'knowledge:write',
+    help: { section: SECTION, text: '"revert <id> <r>" - Go back to a revision (asks first)' },
+    handler: (bot, { from, session, match }) => {
+      console.log('↩️ Reverting knowledge');
+      return bot.handleRevertKnowledge(from, match[1], parseInt(match[2]), session);
+    }
+  },
+  {
+    name: 'import-knowledge',
+    triggers: { exact: ['import knowledge'], aliases: ['import kb', 'import faq', 'import faqs'] },
+    permission: 'knowledge:import',
+    help: { section: SECTION, text: '"import knowledge" - Bulk import a CSV, JSON or Markdown file' },
+    handler: (bot, { from, session }) => {
+      console.log('📥 Knowledge import requested');
+      return bot.handleImportRequest(from, session);
+    }
+  },
+  {
+    name: 'import-file',
+    states: ['import_file'],
+    permission: 'knowledge:import',
+    catchAll: true,
+    exclusive: true,
+    handler: () => ({ text: '📎 Send the file to import as a document, or say "cancel".' })
+  },
+  {
+    name: 'edit-answer',
+    states: ['edit_answer'],
+    permission: 'knowledge:write',
+    catchAll: true,
+    exclusive: true,
+    handler: (bot, { from, args, session }) => bot.handleEditAnswer(from, args, session)
+  },
+  {
+    name: 'confirm',
+    states: ['confirm'],
+    catchAll: true,
+    exclusive: true,
+    handler: (bot, { from, args, session }) => bot.handleConfirmation(from, args, session)
+  }
+];
@@ -0,0 +1,48 @@
+// Switching between knowledge-base-first and AI answers
+module.exports = [
+  {
+    name: 'use-ai',
+    triggers: { exact: ['use ai'], aliases: ['ai mode'] },
+    help: {
+      section: '🔧 *Modes:*',
+      text: (bot) => `"use AI" - Enable AI responses (Status: ${bot.ai.aiEnabled ? 'Available' : 'Not configured'})`
+    },
+    handler: async (bot, { from, session }) => {
+      console.log('🤖 Switching to AI mode');
+      session.aiMode = true;
+      await bot.updateSession(from, session);
+      return { text: '✅ Switched to *AI Mode*.\n\nAll questions will now use the AI model.' };
+    }
+  },
+  {
+    name: 'use-knowledge',
+    triggers: { exact: ['use knowledge'], aliases: ['knowledge mode'] },
+    help: {
+      section: '🔧 *Modes:*',
+      text: (bot) => `"use knowledge" - Use knowledge base (Status: ${process.env.SUPABASE_URL ? 'Available' : 'Not configured'})`
+    },
+    handler: async (bot, { from, session }) => {
+      console.log('📚 Switching to KB mode');
+      session.aiMode = false;
+      await bot.updateSession(from, session);
+      return { text: '✅ Switched to *Knowledge Mode*.\n\nUsing Supabase knowledge base first.' };
+    }
+  },
+  {
+    name: 'what-mode',
+    triggers: { exact: ['what mode'], aliases: ['which mode', 'mode'] },
+    help: { section: '🔧 *Modes:*', text: '"what mode" - Check current mode' },
+    handler: async (bot, { session }) => {
+      console.log('🔧 Checking mode');
+      const mode = session.aiMode ? '🤖 AI Mode' : '📚 Knowledge Mode';
+      const aiStatus = bot.ai.aiEnabled ? `Available ✅ (${bot.ai.llm.describe()})` : 'Not configured';
+      const kbStatus = process.env.SUPABASE_URL ? 'Available ✅' : 'Not configured';
+      return {
+        text: `Current mode: ${mode}\n\n` +
+              `AI Status: ${aiStatus}\n` +
+              `Knowledge Base: ${kbStatus}\n\n` +
+              `Say "use AI" or "use knowledge" to switch.`
+      };
+    }
+  }
+];
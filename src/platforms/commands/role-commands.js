@@ -0,0 +1,39 @@
+const SECTION = '👥 *Roles:*';
+
+// Phone numbers with spaces, dashes or brackets: "+254 700 000001", "+1 (555) 000-0001".
+// RoleManager rejects ones without the country code
+const NUMBER = '(\\+?\\d[\\d\\s().-]*)';
+
+// Who can do what (see RoleManager); only admins change roles
+module.exports = [
+  {
+    name: 'my-role',
+    triggers: { exact: ['my role'], aliases: ['what is my role', 'whoami'] },
+    help: { section: SECTION, text: '"my role" - See what you can do' },
+    handler: (bot, { from }) => bot.handleMyRole(from)
+  },
+  {
+    name: 'list-roles',
+    triggers: { exact: ['roles'], aliases: ['list roles', 'show roles'] },
+    permission: 'roles:manage',
+    help: { section: SECTION, text: '"roles" - Who has which role' },
+    handler: (bot, { from }) => {
+      console.log('👥 Listing roles');
+      return bot.handleListRoles(from);
+    }
+  },
+  {
+    name: 'grant-role',
+    triggers: { regex: [new RegExp(`^grant (admin|contributor|viewer|blocked) (?:to )?${NUMBER}$`)] },
+    permission: 'roles:manage',
+    help: { section: SECTION, text: '"grant contributor +254..." - Give a role (admin, contributor, viewer, blocked)' },
+    handler: (bot, { from, match }) => bot.handleGrantRole(from, match[1], match[2])
+  },
+  {
+    name: 'revoke-role',
+    triggers: { regex: [new RegExp(`^revoke (?:role )?(?:from )?${NUMBER}$`)] },
+    permission: 'roles:manage',
+    help: { section: SECTION, text: '"revoke +254..." - Back to the default role' },
+    handler: (bot, { from, match }) => bot.handleRevokeRole(from, match[1])
+  }
+];
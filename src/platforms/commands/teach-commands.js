@@ -0,0 +1,37 @@
+// Teaching the knowledge base: "teach", then the question, then the answer
+module.exports = [
+  {
+    name: 'teach',
+    triggers: { exact: ['teach'], aliases: ['add knowledge', 'teach me'] },
+    permission: 'knowledge:write',
+    help: { section: '🎓 *Learning:*', text: '"teach" - Teach me something new' },
+    handler: async (bot, { from, session }) => {
+      console.log('🎓 Starting teach flow');
+      session.expecting = 'add_question';
+      await bot.updateSession(from, session);
+      return { text: '📚 Great! What question should I learn?\n\nExample: "What is the return policy?"' };
+    }
+  },
+  {
+    name: 'teach-question',
+    states: ['add_question'],
+    permission: 'knowledge:write',
+    catchAll: true,
+    exclusive: true,
+    handler: (bot, { from, args, session }) => {
+      console.log('📝 Processing add question');
+      return bot.handleAddQuestion(from, args, session);
+    }
+  },
+  {
+    name: 'teach-answer',
+    states: ['add_answer'],
+    permission: 'knowledge:write',
+    catchAll: true,
+    exclusive: true,
+    handler: (bot, { from, args, session }) => {
+      console.log('📝 Processing add answer');
+      return bot.handleAddAnswer(from, args, session);
+    }
+  }
+];
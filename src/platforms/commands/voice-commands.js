@@ -0,0 +1,30 @@
+// Spoken replies on/off (voice notes in are handled as media)
+module.exports = [
+  {
+    name: 'voice-on',
+    triggers: { exact: ['voice on'], aliases: ['voice replies on'] },
+    help: {
+      section: '🎤 *Voice:*',
+      text: (bot, session) => [
+        `Send a voice note instead of typing (Status: ${bot.voice.enabled ? 'Available' : 'Disabled'})`,
+        `"voice on" / "voice off" - Spoken replies (Now: ${session.voiceReplies ? 'On' : 'Off'})`
+      ]
+    },
+    handler: async (bot, { from, session }) => {
+      console.log('🔊 Enabling voice replies');
+      session.voiceReplies = true;
+      await bot.updateSession(from, session);
+      return { text: '🔊 Voice replies *on*.\n\nI\'ll send each answer as a voice note too. Say "voice off" to stop.' };
+    }
+  },
+  {
+    name: 'voice-off',
+    triggers: { exact: ['voice off'], aliases: ['voice replies off'] },
+    handler: async (bot, { from, session }) => {
+      console.log('🔇 Disabling voice replies');
+      session.voiceReplies = false;
+      await bot.updateSession(from, session);
+      return { text: '🔇 Voice replies *off*.\n\nI\'ll reply with text only.' };
+    }
+  }
+];
@@ -0,0 +1,233 @@
+const express = require('express');
+const KnowledgeTransfer = require('../core/knowledge-transfer');
+
+// REST resource for maintaining the knowledge base outside WhatsApp (CMS,
+// scripts). Works on the bot's own KnowledgeBase so its vector index stays
+// current with every change.
+//
+//   GET    /api/knowledge?page=1&pageSize=20   newest first
+//   GET    /api/knowledge?q=refund&limit=10    text + semantic search
+//   GET    /api/knowledge/:id
+//   POST   /api/knowledge       { question, answer }
+//   PUT    /api/knowledge/:id   { question?, answer? }
+//   DELETE /api/knowledge/:id
+//   GET    /api/knowledge/:id/history
+//   GET    /api/knowledge/:id/history/:revision
+//   POST   /api/knowledge/:id/revert   { revision }   also restores deleted entries
+//   GET    /api/knowledge/export?format=csv|json|markdown
+//   POST   /api/knowledge/import?format=csv&dryRun=true   file contents as the body
+//
+// Changes are recorded in the revision history with source "api" and the
+// X-Author header (e.g. the CMS user's email) as the author.
+class KnowledgeApi {
+  constructor(knowledgeBase) {
+    this.knowledgeBase = knowledgeBase;
+    this.transfer = new KnowledgeTransfer(knowledgeBase);
+  }
+
+  register(app, basePath, auth) {
+    const router = express.Router();
+
+    router.use(auth.middleware());
+    router.use((req, res, next) => {
+      if (!this.knowledgeBase.isAvailable) {
+        return res.status(503).json({ error: 'Knowledge base not available - configure Supabase' });
+      }
+      next();
+    });
+
+    // Before /:id so "export" isn't taken for an id
+    router.get('/export', this.route(req => this.exportAll(req)));
+    router.post(
+      '/import',
+      express.text({ type: ['text/*', 'application/csv', 'application/markdown'], limit: '10mb' }),
+      this.route(req => this.importFile(req))
+    );
+    router.get('/', this.route(req => this.list(req)));
+    router.get('/:id', this.route(req => this.get(req)));
+    router.post('/', this.route(req => this.create(req)));
+    router.put('/:id', this.route(req => this.update(req)));
+    router.patch('/:id', this.route(req => this.update(req)));
+    router.delete('/:id', this.route(req => this.remove(req)));
+    router.get('/:id/history', this.route(req => this.history(req)));
+    router.get('/:id/history/:revision', this.route(req => this.revision(req)));
+    router.post('/:id/revert', this.route(req => this.revert(req)));
+
+    app.use(basePath, router);
+    console.log(`✅ Knowledge API mounted at ${basePath}`);
+  }
+
+  // Handlers return { status, body } (or { body, type, fileName } for a file
+  // download) or throw; errors become JSON responses
+  route(handler) {
+    return async (req, res) => {
+      try {
+        const { status = 200, body, type, fileName } = await handler(req);
+        if (type) {
+          res.status(status).type(type).attachment(fileName).send(body);
+        } else {
+          res.status(status).json(body);
+        }
+      } catch (error) {
+        const status = this.errorStatus(error);
+        if (status === 500) {
+          console.error(`Knowledge API error (${req.method} ${req.originalUrl}):`, error.message);
+        }
+        res.status(status).json({ error: status === 500 ? 'Internal server error' : error.message });
+      }
+    };
+  }
+
+  errorStatus(error) {
+    if (error.expose) return error.status;
+    if (error.code === 'UNKNOWN_FORMAT') return 400;
+    if (error.code === 'NOT_FOUND') return 404;
+    if (error.code === 'CIRCUIT_OPEN') return 503;
+    return 500;
+  }
+
+  badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    error.expose = true;
+    return error;
+  }
+
+  audit(req) {
+    return { author: req.get('X-Author') || 'api', source: 'api' };
+  }
+
+  // Trimmed text for a field, or null if it wasn't sent
+  readField(body, field, required) {
+    const value = body?.[field];
+
+    if (value === undefined || value === null) {
+      if (required) throw this.badRequest(`"${field}" is required`);
+      return null;
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+      throw this.badRequest(`"${field}" must be a non-empty string`);
+    }
+
+    return value.trim();
+  }
+
+  async list(req) {
+    const { q, page, pageSize, limit } = req.query;
+
+    if (q !== undefined) {
+      if (!String(q).trim()) throw this.badRequest('"q" must not be empty');
+
+      const items = await this.knowledgeBase.find(String(q), {
+        limit: Math.min(Math.max(parseInt(limit) || 10, 1), 100)
+      });
+      return { body: { items, count: items.length, query: String(q) } };
+    }
+
+    return { body: await this.knowledgeBase.list({ page, pageSize }) };
+  }
+
+  async get(req) {
+    const entry = await this.knowledgeBase.get(req.params.id);
+    if (!entry) {
+      return { status: 404, body: { error: `No knowledge entry with id ${req.params.id}` } };
+    }
+    return { body: entry };
+  }
+
+  async create(req) {
+    const question = this.readField(req.body, 'question', true);
+    const answer = this.readField(req.body, 'answer', true);
+
+    // addKnowledge updates the entry whose question already matches
+    const saved = await this.knowledgeBase.addKnowledge(question, answer, this.audit(req));
+    const entry = await this.knowledgeBase.get(saved.id);
+
+    console.log(`📚 API ${saved.created ? 'added' : 'updated'} knowledge #${saved.id}`);
+    return { status: saved.created ? 201 : 200, body: entry || saved };
+  }
+
+  async update(req) {
+    const question = this.readField(req.body, 'question', false);
+    const answer = this.readField(req.body, 'answer', false);
+    if (!question && !answer) {
+      throw this.badRequest('Send "question" and/or "answer" to update');
+    }
+
+    const updated = await this.knowledgeBase.updateKnowledge(req.params.id, { question, answer }, this.audit(req));
+
+    console.log(`✏️ API updated knowledge #${updated.id}`);
+    return { body: await this.knowledgeBase.get(updated.id) };
+  }
+
+  async remove(req) {
+    const deleted = await this.knowledgeBase.deleteKnowledge(req.params.id, this.audit(req));
+
+    console.log(`🗑️ API deleted knowledge #${deleted.id}`);
+    return { body: { deleted } };
+  }
+
+  async history(req) {
+    const revisions = await this.knowledgeBase.getHistory(req.params.id, {
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500)
+    });
+    if (revisions.length === 0 && !(await this.knowledgeBase.get(req.params.id))) {
+      return { status: 404, body: { error: `No knowledge entry with id ${req.params.id}` } };
+    }
+
+    return { body: { id: this.knowledgeBase.normalizeId(req.params.id), revisions } };
+  }
+
+  async revision(req) {
+    const revision = await this.knowledgeBase.getRevision(req.params.id, req.params.revision);
+    if (!revision) {
+      return { status: 404, body: { error: `No revision ${req.params.revision} of knowledge entry #${req.params.id}` } };
+    }
+    return { body: revision };
+  }
+
+  async revert(req) {
+    const revision = parseInt(req.body?.revision);
+    if (!revision || revision < 1) {
+      throw this.badRequest('"revision" must be a revision number, see GET /:id/history');
+    }
+
+    const reverted = await this.knowledgeBase.revert(req.params.id, revision, this.audit(req));
+
+    console.log(`↩️ API reverted knowledge #${reverted.id} to revision ${revision}`);
+    return {
+      status: reverted.restored ? 201 : 200,
+      body: { ...(await this.knowledgeBase.get(reverted.id)), revertedTo: revision, restored: reverted.restored }
+    };
+  }
+
+  async exportAll(req) {
+    const file = await this.transfer.export(req.query.format || 'json');
+
+    const date = new Date().toISOString().split('T')[0];
+    console.log(`📤 API exported ${file.count} knowledge entries`);
+    return { body: file.content, type: file.contentType, fileName: `knowledge-base-${date}.${file.extension}` };
+  }
+
+  // Nothing is written on a dry run, or when the file has errors or conflicts
+  // (422 with the same report, so it can be fixed and sent again)
+  async importFile(req) {
+    const content = req.body;
+    const empty = typeof content === 'string' ? !content.trim() : !content || Object.keys(content).length === 0;
+    if (empty) {
+      throw this.badRequest('Send the file contents as the request body (text/csv, text/markdown or application/json)');
+    }
+
+    const report = await this.transfer.import(content, {
+      format: req.query.format || null,
+      mimeType: req.get('Content-Type') || '',
+      dryRun: ['true', '1', 'yes'].includes(String(req.query.dryRun).toLowerCase()),
+      author: this.audit(req).author
+    });
+
+    const rejected = !report.dryRun && !report.applied;
+    return { status: rejected ? 422 : 200, body: report };
+  }
+}
+
+module.exports = KnowledgeApi;
@@ -0,0 +1,76 @@
+const twilio = require('twilio');
+
+// Verifies X-Twilio-Signature on incoming webhooks and rejects replays.
+// Twilio signs the full public URL plus the POST params with the auth token,
+// so BASE_URL must be exactly what's configured in the Twilio console.
+// Replayed messages that outlive the signature cache (e.g. across a restart)
+// are still caught by the bot's MessageSid deduplication.
+class TwilioWebhookGuard {
+  constructor() {
+    this.enabled = process.env.TWILIO_WEBHOOK_VALIDATION !== 'false';
+    this.authToken = process.env.TWILIO_AUTH_TOKEN;
+    this.baseUrl = (process.env.BASE_URL || '').replace(/\/+$/, '');
+    this.replayWindowMs = (parseInt(process.env.TWILIO_REPLAY_WINDOW_SECONDS) || 300) * 1000;
+    this.seenSignatures = new Map();
+    this.maxSeenSignatures = 10000;
+  }
+
+  validateConfig() {
+    if (!this.enabled) {
+      console.warn('⚠️  Twilio webhook signature validation is DISABLED (TWILIO_WEBHOOK_VALIDATION=false)');
+      return;
+    }
+    
+    const missing = [];
+    if (!this.authToken) missing.push('TWILIO_AUTH_TOKEN');
+    if (!this.baseUrl) missing.push('BASE_URL');
+    
+    if (missing.length > 0) {
+      throw new Error(
+        `Twilio webhook validation needs ${missing.join(' and ')}. ` +
+        `Set ${missing.length > 1 ? 'them' : 'it'}, or set TWILIO_WEBHOOK_VALIDATION=false for local testing only.`
+      );
+    }
+  }
+
+  middleware() {
+    return (req, res, next) => {
+      if (!this.enabled) return next();
+      
+      const signature = req.get('X-Twilio-Signature');
+      if (!signature) {
+        console.warn(`🚫 Unsigned webhook request to ${req.originalUrl} from ${req.ip}`);
+        return res.status(403).send('Missing signature');
+      }
+      
+      const url = `${this.baseUrl}${req.originalUrl}`;
+      if (!twilio.validateRequest(this.authToken, signature, url, req.body || {})) {
+        console.warn(`🚫 Invalid Twilio signature on ${req.originalUrl} from ${req.ip}`);
+        return res.status(403).send('Invalid signature');
+      }
+      
+      if (this.isReplay(signature)) {
+        console.warn(`🚫 Replayed webhook request (${req.body?.MessageSid?.substring(0, 8) || 'no sid'})`);
+        return res.status(409).send('Duplicate request');
+      }
+      
+      next();
+    };
+  }
+
+  isReplay(signature) {
+    const now = Date.now();
+    
+    for (const [seen, seenAt] of this.seenSignatures) {
+      // Map iterates in insertion order, so expired entries are at the front
+      if (now - seenAt <= this.replayWindowMs && this.seenSignatures.size <= this.maxSeenSignatures) break;
+      this.seenSignatures.delete(seen);
+    }
+    
+    if (this.seenSignatures.has(signature)) return true;
+    this.seenSignatures.set(signature, now);
+    return false;
+  }
+}
+
+module.exports = TwilioWebhookGuard;
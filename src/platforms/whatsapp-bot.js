@@ -1,4 +1,5 @@
 const { Twilio } = require('twilio');
+const TwilioWebhookGuard = require('./twilio-webhook-guard');
 
 class WhatsAppBotNatural {
   constructor(safetyManager) {
@@ -11,27 +12,104 @@ class WhatsAppBotNatural {
     
     this.whatsappNumber = process.env.TWILIO_WHATSAPP_NUMBER;
     this.safetyManager = safetyManager;
-    this.sessions = new Map();
+    this.webhookGuard = new TwilioWebhookGuard();
     
-    // Import processors (keep document, skip voice)
+    // Import processors
     this.AIProcessor = require('../core/ai-processor');
     this.DocumentProcessor = require('../core/document-processor');
+    this.VoiceProcessor = require('../core/voice-processor');
+    this.DocumentLibrary = require('../core/document-library');
+    this.ConversationMemory = require('../core/conversation-memory');
+    this.SessionManager = require('../core/session-manager');
+    this.MessageDeduplicator = require('../core/message-deduplicator');
+    this.MessageSplitter = require('../core/message-splitter');
+    this.OutboundQueue = require('../core/outbound-queue');
+    this.KnowledgeTransfer = require('../core/knowledge-transfer');
+    this.RoleManager = require('../core/role-manager');
+    this.CommandRouter = require('./command-router');
     
     // Initialize
-    this.ai = new this.AIProcessor();
+    this.ai = new this.AIProcessor(this.safetyManager);
     this.documents = new this.DocumentProcessor();
+    this.library = new this.DocumentLibrary();
+    this.memory = new this.ConversationMemory(this.ai, this.safetyManager);
+    this.sessions = new this.SessionManager(this.ai.supabase);
+    this.sessions.startSweeper();
+    this.dedupe = new this.MessageDeduplicator();
+    this.splitter = new this.MessageSplitter();
+    this.outbound = new this.OutboundQueue(this.client, this.safetyManager, this.ai.supabase);
+    this.voice = new this.VoiceProcessor();
+    this.knowledgeTransfer = new this.KnowledgeTransfer(this.ai.knowledgeBase);
+    this.roles = new this.RoleManager();
+    this.notifiedBlocked = new Set();
+    // Import files waiting for "yes", kept out of the session so it isn't rewritten
+    // with every message; sender -> { content, storedAt }
+    this.pendingImports = new Map();
+    this.pendingImportTtlMs = 30 * 60 * 1000;
+    
+    // Chat commands, tried in this order; other modules can register more
+    this.commands = new this.CommandRouter(session => this.getSessionStates(session));
+    [
+      require('./commands/mode-commands'),
+      require('./commands/conversation-commands'),
+      require('./commands/voice-commands'),
+      require('./commands/general-commands'),
+      require('./commands/teach-commands'),
+      require('./commands/knowledge-commands'),
+      require('./commands/document-commands'),
+      require('./commands/role-commands'),
+      require('./commands/feedback-commands'),
+      require('./commands/info-commands')
+    ].forEach(commands => this.commands.registerAll(commands));
     
     console.log('✅ WhatsApp Bot initialized');
-    console.log('✅ PDF/TXT document processing enabled');
-    console.log('🔇 Voice processing disabled');
+    console.log(`✅ Document processing enabled (${this.documents.describeSupportedTypes()})`);
+    
+    if (this.documents.ocr.enabled) {
+      this.documents.ocr.checkPdfRenderer().then(available => {
+        if (available) {
+          console.log('✅ OCR enabled for images and scanned PDFs');
+        } else {
+          console.warn('⚠️  pdftoppm not found - OCR of scanned PDFs disabled (install poppler-utils or set PDFTOPPM_PATH)');
+        }
+      });
+    } else {
+      console.log('🔇 OCR disabled');
+    }
+    
+    if (this.voice.enabled) {
+      console.log('✅ Voice transcription enabled (local Whisper)');
+      // Warm the model up so the first voice note doesn't pay for the download
+      this.voice.loadWhisperModel().catch(error => {
+        console.warn('⚠️  Whisper preload failed:', error.message);
+      });
+    } else {
+      console.log('🔇 Voice processing disabled');
+    }
   }
 
   async handleIncoming(req, res) {
     res.set('Content-Type', 'text/xml');
     res.send('<Response></Response>');
     
-    this.safetyManager.processWithTimeout(
-      () => this.processMessage(req.body),
+    // Twilio retries and duplicate deliveries reuse the MessageSid
+    const messageSid = req.body.MessageSid;
+    if (!this.dedupe.claim(messageSid)) {
+      console.log(`🔁 Duplicate delivery of ${messageSid.substring(0, 8)} ignored`);
+      return;
+    }
+    
+    // One lane per sender keeps a chat's messages in order (e.g. the teach flow).
+    // The sid is only marked handled once processing has finished.
+    this.safetyManager.processInLane(
+      req.body.From,
+      () => this.processMessage(req.body).then(
+        () => this.dedupe.complete(messageSid),
+        error => {
+          this.dedupe.release(messageSid);
+          throw error;
+        }
+      ),
       'WhatsApp Message Processing'
     ).catch(error => {
       console.error('Message processing failed:', error.message);
@@ -50,7 +128,26 @@ class WhatsAppBotNatural {
     console.log(`📱 Message from ${from}: "${message?.substring(0, 100) || '(media)'}"`);
 
     try {
-      const session = this.getSession(from);
+      // Flood protection - only the first message over the limit gets a reply
+      const rateLimit = this.safetyManager.consumeLimit(from, 'messages');
+      if (!rateLimit.allowed) {
+        if (rateLimit.firstRejection) {
+          await this.sendMessage(from, this.describeLimit(rateLimit));
+        }
+        return;
+      }
+      
+      // Blocked numbers are told once per run, then ignored
+      if (this.roles.getRole(from) === 'blocked') {
+        console.log(`🚫 Ignoring message from blocked number ${from}`);
+        if (!this.notifiedBlocked.has(from)) {
+          this.notifiedBlocked.add(from);
+          await this.sendMessage(from, '🚫 You don\'t have access to this assistant.');
+        }
+        return;
+      }
+      
+      const session = await this.getSession(from);
       
       // Save message
       if (message) {
@@ -59,7 +156,7 @@ class WhatsAppBotNatural {
       
       let response;
       
-      // Handle media (PDF/TXT only, no voice)
+      // Handle media (documents and voice notes)
       if (numMedia > 0 && mediaUrl && mediaType) {
         response = await this.handleMedia(from, mediaUrl, mediaType, session);
       } 
@@ -68,9 +165,23 @@ class WhatsAppBotNatural {
         response = await this.handleTextMessage(from, message.trim(), session);
       }
       
+      // Long answers go out a few parts at a time; the rest waits for "more"
+      const replyParts = response
+        ? response.parts || this.splitter.paginate(session, response.text)
+        : [];
+      
+      // Persist whatever the handlers changed before replying
+      await this.updateSession(from, session);
+      
       // Send response
       if (response) {
-        await this.sendMessage(from, response.text);
+        for (const part of replyParts) {
+          await this.sendMessage(from, part);
+        }
+        
+        if (session.voiceReplies) {
+          await this.sendVoiceReply(from, response.speech || response.text);
+        }
       }
     } catch (error) {
       console.error('Processing error:', error.message);
@@ -80,90 +191,27 @@ class WhatsAppBotNatural {
 
   async handleTextMessage(from, message, session) {
     console.log('📝 Processing text:', message);
-    const normalized = message.toLowerCase().trim();
-    
-    // ============ MODE SWITCHING ============
-    if (normalized === 'use ai') {
-      console.log('🤖 Switching to AI mode');
-      session.aiMode = true;
-      this.updateSession(from, session);
-      return { text: '✅ Switched to *AI Mode*.\n\nAll questions will now use Groq AI.' };
-    }
-    
-    if (normalized === 'use knowledge') {
-      console.log('📚 Switching to KB mode');
-      session.aiMode = false;
-      this.updateSession(from, session);
-      return { text: '✅ Switched to *Knowledge Mode*.\n\nUsing Supabase knowledge base first.' };
-    }
-    
-    if (normalized === 'what mode') {
-      console.log('🔧 Checking mode');
-      const mode = session.aiMode ? '🤖 AI Mode' : '📚 Knowledge Mode';
-      const aiStatus = process.env.GROQ_API_KEY ? 'Available ✅' : 'Not configured';
-      const kbStatus = process.env.SUPABASE_URL ? 'Available ✅' : 'Not configured';
-      return { 
-        text: `Current mode: ${mode}\n\n` +
-              `AI Status: ${aiStatus}\n` +
-              `Knowledge Base: ${kbStatus}\n\n` +
-              `Say "use AI" or "use knowledge" to switch.` 
-      };
-    }
-    
-    // ============ GREETINGS ============
-    if (this.isGreeting(normalized)) {
-      console.log('👋 Detected greeting');
-      return this.handleGreeting(from, session);
-    }
     
-    // ============ HELP ============
-    if (this.isHelpRequest(normalized)) {
-      console.log('❓ Detected help request');
-      return this.handleHelp(from, session);
-    }
-    
-    // ============ TEACH COMMAND ============
-    if (normalized === 'teach' || normalized === 'add knowledge') {
-      console.log('🎓 Starting teach flow');
-      session.expecting = 'add_question';
-      this.updateSession(from, session);
-      return { text: '📚 Great! What question should I learn?\n\nExample: "What is the return policy?"' };
-    }
-    
-    // ============ ADD QUESTION FLOW ============
-    if (session.expecting === 'add_question') {
-      console.log('📝 Processing add question');
-      return this.handleAddQuestion(from, message, session);
-    }
-    
-    if (session.expecting === 'add_answer') {
-      console.log('📝 Processing add answer');
-      return this.handleAddAnswer(from, message, session);
-    }
-    
-    // ============ DOCUMENT ACTIONS ============
-    if (session.documentText) {
-      if (normalized === 'summarize' || normalized === 'summary') {
-        return this.handleDocumentSummary(from, session);
-      }
-      if (normalized === 'save document' || normalized === 'save this') {
-        return this.handleSaveDocument(from, session);
+    const route = this.commands.route(message, session);
+    if (route) {
+      const permission = route.command.permission || 'chat';
+      if (!this.roles.can(from, permission)) {
+        console.log(`🚫 ${from} (${this.roles.getRole(from)}) may not run ${route.command.name}`);
+        // A flow that's no longer allowed (role changed midway) is dropped
+        if (route.command.catchAll) {
+          await this.handleCancel(from, session);
+        }
+        return { text: this.describePermission(from, permission) };
       }
-      if (normalized === 'extract' || normalized === 'key points') {
-        return this.handleExtractInfo(from, session);
-      }
-    }
-    
-    // ============ DOCUMENT QUESTION ============
-    if (session.waitingForDocumentQuestion) {
-      console.log('📄 Processing document question');
-      return this.handleDocumentQuestion(from, message, session);
-    }
-    
-    // ============ STATS ============
-    if (normalized === 'stats' || normalized === 'statistics') {
-      console.log('📊 Getting stats');
-      return this.handleStats(from, session);
+      
+      return route.command.handler(this, {
+        from,
+        message,
+        session,
+        normalized: route.normalized,
+        args: route.args,
+        match: route.match
+      });
     }
     
     // ============ DEFAULT: GET ANSWER ============
@@ -171,15 +219,14 @@ class WhatsAppBotNatural {
     return this.handleAIResponse(from, message, session);
   }
 
-  // ============ SIMPLE DETECTORS ============
-  isGreeting(message) {
-    const greetings = ['hi', 'hello', 'hey', 'good morning', 'good afternoon', 'good evening'];
-    return greetings.some(greet => message.includes(greet));
-  }
-
-  isHelpRequest(message) {
-    const helpKeywords = ['help', 'what can you do', 'commands', 'menu', 'options'];
-    return helpKeywords.some(keyword => message.includes(keyword));
+  // Session states that commands can be limited to (see CommandRouter)
+  getSessionStates(session) {
+    const states = [];
+    if (session.expecting) states.push(session.expecting);
+    if (this.library.getActive(session)) states.push('document');
+    if (session.waitingForDocumentQuestion) states.push('document_question');
+    if (this.splitter.hasMore(session)) states.push('paging');
+    return states;
   }
 
   // ============ COMMAND HANDLERS ============
@@ -191,8 +238,8 @@ class WhatsAppBotNatural {
       text: `👋 Hello! I'm your AI assistant.\n\n` +
             `🔧 Current: ${mode}\n` +
             `📚 Knowledge: ${totalKnowledge} items\n` +
-            `📄 Documents: PDF/TXT support ✅\n` +
-            `🔇 Voice: Disabled\n\n` +
+            `📄 Documents: ${this.documents.describeSupportedTypes()} ✅\n` +
+            `🎤 Voice: ${this.voice.enabled ? 'Send a voice note ✅' : 'Disabled'}\n\n` +
             `💬 *Just ask me anything!*\n\n` +
             `To switch modes:\n` +
             `• Say "use AI" for AI mode\n` +
@@ -202,25 +249,10 @@ class WhatsAppBotNatural {
   }
 
   async handleHelp(from, session) {
-    const mode = session.aiMode ? 'AI' : 'Knowledge';
-    const aiStatus = process.env.GROQ_API_KEY ? 'Available' : 'Not configured';
-    const kbStatus = process.env.SUPABASE_URL ? 'Available' : 'Not configured';
-    
     return {
       text: `🤖 *Available Commands:*\n\n` +
             `💬 Ask any question\n\n` +
-            `🔧 *Modes:*\n` +
-            `• "use AI" - Enable AI responses (Status: ${aiStatus})\n` +
-            `• "use knowledge" - Use knowledge base (Status: ${kbStatus})\n` +
-            `• "what mode" - Check current mode\n\n` +
-            `🎓 *Learning:*\n` +
-            `• "teach" - Teach me something new\n\n` +
-            `📄 *Documents:*\n` +
-            `• Send PDF/TXT files to upload\n` +
-            `• Then ask questions about them\n` +
-            `• Say "summarize" for document summary\n\n` +
-            `📊 *Info:*\n` +
-            `• "stats" - See statistics\n\n` +
+            `${this.commands.generateHelp(this, session, command => this.roles.can(from, command.permission || 'chat'))}\n\n` +
             `👉 Just start chatting or send a document!`
     };
   }
@@ -228,7 +260,7 @@ class WhatsAppBotNatural {
   async handleAddQuestion(from, question, session) {
     session.expecting = 'add_answer';
     session.pendingQuestion = question;
-    this.updateSession(from, session);
+    await this.updateSession(from, session);
     
     return {
       text: `📝 Question: "${question}"\n\nNow, what's the answer?`
@@ -239,10 +271,10 @@ class WhatsAppBotNatural {
     const question = session.pendingQuestion;
     
     try {
-      const result = await this.ai.addKnowledge(question, answer);
+      const result = await this.ai.addKnowledge(question, answer, this.audit(from));
       delete session.expecting;
       delete session.pendingQuestion;
-      this.updateSession(from, session);
+      await this.updateSession(from, session);
       
       return {
         text: `✅ Successfully learned!\n\n` +
@@ -253,7 +285,7 @@ class WhatsAppBotNatural {
     } catch (error) {
       delete session.expecting;
       delete session.pendingQuestion;
-      this.updateSession(from, session);
+      await this.updateSession(from, session);
       return { text: `❌ Error: ${error.message}` };
     }
   }
@@ -261,9 +293,11 @@ class WhatsAppBotNatural {
   async handleStats(from, session) {
     const totalKnowledge = await this.ai.getKnowledgeStats();
     const mode = session.aiMode ? 'AI Mode' : 'Knowledge Mode';
-    const aiStatus = process.env.GROQ_API_KEY ? 'Available ✅' : 'Not configured';
+    const aiStatus = this.ai.aiEnabled ? `Available ✅ (${this.ai.llm.describe()})` : 'Not configured';
     const kbStatus = process.env.SUPABASE_URL ? 'Available ✅' : 'Not configured';
-    const activeSessions = this.sessions.size;
+    const activeSessions = await this.sessions.count();
+    const usage = this.safetyManager.getUsage(from);
+    const { limits } = this.safetyManager;
     
     return {
       text: `📊 *Bot Statistics*\n\n` +
@@ -272,24 +306,56 @@ class WhatsAppBotNatural {
             `• AI Status: ${aiStatus}\n` +
             `• Knowledge Base: ${kbStatus}\n` +
             `• Active chats: ${activeSessions}\n` +
-            `• Document support: PDF/TXT ✅\n` +
-            `• Voice support: Disabled`
+            `• Document support: ${this.documents.describeSupportedTypes()} ✅\n` +
+            `• Voice support: ${this.voice.enabled ? 'Transcription ✅' : 'Disabled'}\n` +
+            `• Voice replies: ${session.voiceReplies ? 'On' : 'Off'}` +
+            (this.safetyManager.rateLimitsEnabled
+              ? `\n• Your usage today: ${usage.ai}/${limits.ai.max} AI answers, ${usage.documents}/${limits.documents.max} uploads`
+              : '')
     };
   }
 
   async handleAIResponse(from, message, session) {
     try {
       const useAI = session.aiMode || false;
-      const result = await this.ai.getAnswer(message, useAI);
+      const aiQuota = this.safetyManager.checkLimit(from, 'ai');
+      const result = await this.ai.getAnswer(message, useAI, {
+        history: this.memory.getHistory(session),
+        allowAI: aiQuota.allowed
+      });
+      
+      if (result.source === 'ai') {
+        this.safetyManager.recordUsage(from, 'ai');
+      }
+      
+      // Knowledge base answers keep working once the AI quota is used up
+      if (result.source === 'default' && !aiQuota.allowed && this.ai.aiEnabled) {
+        this.safetyManager.noteRejection(from, 'ai');
+        return { text: this.describeLimit(aiQuota) };
+      }
+      
+      if (result.source !== 'default') {
+        await this.memory.addTurn(session, message, result.answer, from);
+        await this.updateSession(from, session);
+      }
       
       let responseText = result.answer;
       
       // Add source indicator
       const sourceEmoji = result.source === 'knowledge_base' ? '📚' : 
-                         result.source === 'groq_ai' ? '🤖' : '💡';
+                         result.source === 'ai' ? '🤖' : '💡';
       
       responseText = `${sourceEmoji} ${responseText}`;
       
+      // Real answers get an id the user can rate with 👍 / 👎
+      if (result.source !== 'default' && this.ai.feedback.enabled) {
+        const answerId = await this.rememberAnswer(from, session, message, result);
+        return {
+          text: `${responseText}\n\n_Helpful? Reply 👍 or 👎 · ref ${answerId}_`,
+          speech: responseText
+        };
+      }
+      
       return { text: responseText };
       
     } catch (error) {
@@ -300,85 +366,692 @@ class WhatsAppBotNatural {
     }
   }
 
-  // ============ MEDIA HANDLING (PDF/TXT ONLY) ============
+  // ============ FEEDBACK ============
+  // Keeps the last few answers in the session so feedback can refer to them
+  async rememberAnswer(from, session, question, result) {
+    const answer = {
+      id: this.ai.feedback.newAnswerId(),
+      source: result.source,
+      knowledgeId: result.knowledgeId ?? null,
+      // Knowledge answers are filed under the entry's question, AI answers under the user's
+      question: result.source === 'knowledge_base' ? result.question : question,
+      answer: result.answer.substring(0, 2000),
+      rating: null
+    };
+    
+    session.recentAnswers = [...(session.recentAnswers || []), answer].slice(-5);
+    await this.updateSession(from, session);
+    return answer.id;
+  }
+
+  // rating is 1 or -1; ref picks an earlier answer, otherwise the latest is rated
+  async handleFeedback(from, session, { rating, ref = null, correction = null }) {
+    const answers = session.recentAnswers || [];
+    const answer = ref
+      ? answers.find(candidate => candidate.id === ref)
+      : answers[answers.length - 1];
+    
+    if (!answer) {
+      return {
+        text: ref
+          ? `🤔 I can't find answer ${ref} - only the last ${answers.length || 'few'} answers can be rated.`
+          : '🤔 There\'s no recent answer to rate. Ask me something first!'
+      };
+    }
+    if (answer.rating === rating && !correction) {
+      return { text: '👌 Already noted - thanks!' };
+    }
+    
+    try {
+      await this.ai.feedback.record(from, answer, { rating, correction, previousRating: answer.rating });
+      answer.rating = rating;
+      await this.updateSession(from, session);
+    } catch (error) {
+      console.error('Feedback error:', error.message);
+      return { text: '❌ Sorry, I couldn\'t save your feedback. Please try again later.' };
+    }
+    
+    if (correction) {
+      return { text: '📝 Thanks! Your correction was saved for review.' };
+    }
+    if (rating > 0) {
+      return { text: '🙏 Thanks for the feedback!' };
+    }
+    
+    const canEdit = answer.knowledgeId !== null && this.roles.can(from, 'knowledge:write');
+    return {
+      text: `🙏 Thanks - noted.\n\n` +
+            `Reply "wrong: <the right answer>" to tell me what's correct` +
+            (canEdit ? `, or "edit ${answer.knowledgeId}" to fix the entry yourself.` : '.')
+    };
+  }
+
+  async handleFeedbackReport(from) {
+    try {
+      const report = await this.ai.feedback.getReviewReport({ limit: 10 });
+      
+      if (report.entries.length === 0 && report.aiAnswers.length === 0) {
+        return { text: `📊 No poorly rated answers to review (entries need ${report.minVotes}+ votes).` };
+      }
+      
+      const entryLines = report.entries.map(entry =>
+        `• *#${entry.knowledgeId}* ${this.preview(entry.question, 60)} - 👍 ${entry.up} 👎 ${entry.down}` +
+        (entry.corrections.length > 0 ? `\n   ✏️ "${this.preview(entry.corrections[0].correction, 80)}"` : '')
+      );
+      const aiLines = report.aiAnswers.slice(0, 5).map(answer =>
+        `• ${this.preview(answer.question, 60)}` +
+        (answer.correction ? `\n   ✏️ "${this.preview(answer.correction, 80)}"` : '')
+      );
+      
+      return {
+        text: `📊 *Feedback review*\n\n` +
+              (entryLines.length > 0
+                ? `*Poorly rated knowledge:*\n${entryLines.join('\n')}\n\n`
+                : '') +
+              (aiLines.length > 0
+                ? `*AI answers marked wrong (${report.aiAnswers.length}):*\n${aiLines.join('\n')}\n\n`
+                : '') +
+              `Say "show <id>" or "edit <id>" to fix an entry, or "teach" to add a better answer.`
+      };
+    } catch (error) {
+      console.error('Feedback report error:', error.message);
+      return { text: `❌ Error: ${error.message}` };
+    }
+  }
+
+  // ============ KNOWLEDGE MANAGEMENT ============
+  async handleListKnowledge(from, page) {
+    try {
+      const result = await this.ai.listKnowledge({ page });
+      
+      if (result.total === 0) {
+        return { text: '📚 The knowledge base is empty.\n\nSay "teach" to add the first entry.' };
+      }
+      if (result.items.length === 0) {
+        return { text: `📚 There are only ${result.pages} page(s). Say "list knowledge" to start over.` };
+      }
+      
+      const lines = result.items.map(entry => `#${entry.id} ${this.preview(entry.question, 80)}`);
+      return {
+        text: `📚 *Knowledge base* (page ${result.page} of ${result.pages}, ${result.total} entries)\n\n` +
+              `${lines.join('\n')}\n\n` +
+              `• "show ${result.items[0].id}" - See an entry\n` +
+              (result.page < result.pages ? `• "list knowledge ${result.page + 1}" - Next page\n` : '') +
+              `• "find <term>" - Search`
+      };
+    } catch (error) {
+      console.error('List knowledge error:', error.message);
+      return { text: `❌ Error: ${error.message}` };
+    }
+  }
+
+  async handleFindKnowledge(from, term) {
+    if (!term) {
+      return { text: '🔎 What should I look for? Example: "find refund"' };
+    }
+    
+    try {
+      const matches = await this.ai.findKnowledge(term);
+      if (matches.length === 0) {
+        return { text: `🔎 Nothing in the knowledge base matches "${term}".` };
+      }
+      
+      const lines = matches.map(entry =>
+        `#${entry.id} ${this.preview(entry.question, 80)}\n   ↳ ${this.preview(entry.answer, 80)}`
+      );
+      return {
+        text: `🔎 *${matches.length} match${matches.length === 1 ? '' : 'es'} for "${term}":*\n\n` +
+              `${lines.join('\n')}\n\n` +
+              `Say "show <id>" to see one.`
+      };
+    } catch (error) {
+      console.error('Find knowledge error:', error.message);
+      return { text: `❌ Error: ${error.message}` };
+    }
+  }
+
+  async handleShowKnowledge(from, id) {
+    try {
+      const entry = await this.ai.getKnowledge(id);
+      if (!entry) {
+        return { text: `❌ There's no knowledge entry #${id}. Say "list knowledge" to browse.` };
+      }
+      
+      return {
+        text: `📌 *#${entry.id}* ${entry.question}\n\n` +
+              `${entry.answer}\n\n` +
+              (entry.updatedAt ? `🕒 Updated ${entry.updatedAt.split('T')[0]}\n\n` : '') +
+              `• "edit ${entry.id}" - Change the answer\n` +
+              `• "forget ${entry.id}" - Delete it\n` +
+              `• "history ${entry.id}" - See earlier versions`
+      };
+    } catch (error) {
+      console.error('Show knowledge error:', error.message);
+      return { text: `❌ Error: ${error.message}` };
+    }
+  }
+
+  async handleEditKnowledge(from, id, session) {
+    try {
+      const entry = await this.ai.getKnowledge(id);
+      if (!entry) {
+        return { text: `❌ There's no knowledge entry #${id}. Say "list knowledge" to browse.` };
+      }
+      
+      session.expecting = 'edit_answer';
+      session.editingKnowledge = { id: entry.id, question: entry.question };
+      await this.updateSession(from, session);
+      
+      return {
+        text: `✏️ Editing *#${entry.id}* ${entry.question}\n\n` +
+              `Current answer:\n${this.preview(entry.answer, 500)}\n\n` +
+              `Send the new answer, or say "cancel".`
+      };
+    } catch (error) {
+      console.error('Edit knowledge error:', error.message);
+      return { text: `❌ Error: ${error.message}` };
+    }
+  }
+
+  async handleEditAnswer(from, answer, session) {
+    const { id, question } = session.editingKnowledge || {};
+    delete session.editingKnowledge;
+    
+    if (id === undefined) {
+      delete session.expecting;
+      await this.updateSession(from, session);
+      return { text: 'I lost track of which entry you were editing. Say "edit <id>" to start again.' };
+    }
+    
+    // Overwriting an answer can't be undone from chat, so ask first
+    session.expecting = 'confirm';
+    session.pendingConfirmation = { action: 'edit', id, question, answer };
+    await this.updateSession(from, session);
+    
+    return {
+      text: `✏️ Replace the answer to *#${id}* ${question} with:\n\n` +
+            `${this.preview(answer, 500)}\n\n` +
+            `Reply *yes* to save or *no* to cancel.`
+    };
+  }
+
+  async handleForgetKnowledge(from, id, session) {
+    try {
+      const entry = await this.ai.getKnowledge(id);
+      if (!entry) {
+        return { text: `❌ There's no knowledge entry #${id}. Say "list knowledge" to browse.` };
+      }
+      
+      session.expecting = 'confirm';
+      session.pendingConfirmation = { action: 'forget', id: entry.id, question: entry.question };
+      await this.updateSession(from, session);
+      
+      return {
+        text: `🗑️ Delete *#${entry.id}* ${entry.question}?\n\n` +
+              `Reply *yes* to delete or *no* to keep it.`
+      };
+    } catch (error) {
+      console.error('Forget knowledge error:', error.message);
+      return { text: `❌ Error: ${error.message}` };
+    }
+  }
+
+  // Any reply other than yes cancels the pending action
+  async handleConfirmation(from, reply, session) {
+    const pending = session.pendingConfirmation;
+    const importContent = this.takePendingImport(from);
+    delete session.pendingConfirmation;
+    delete session.expecting;
+    await this.updateSession(from, session);
+    
+    const confirmed = ['yes', 'y', 'confirm', 'ok'].includes(this.commands.normalize(reply));
+    if (!pending || !confirmed) {
+      return { text: '👍 Cancelled - nothing was changed.' };
+    }
+    
+    // The role may have changed since the action was asked for
+    const permission = pending.action === 'import' ? 'knowledge:import' : 'knowledge:write';
+    if (!this.roles.can(from, permission)) {
+      return { text: this.describePermission(from, permission) };
+    }
+    
+    try {
+      if (pending.action === 'forget') {
+        await this.ai.deleteKnowledge(pending.id, this.audit(from));
+        return { text: `🗑️ Deleted *#${pending.id}* ${pending.question}` };
+      }
+      
+      if (pending.action === 'edit') {
+        await this.ai.updateKnowledge(pending.id, { answer: pending.answer }, this.audit(from));
+        return { text: `✅ Updated *#${pending.id}* ${pending.question}` };
+      }
+      
+      if (pending.action === 'revert') {
+        const reverted = await this.ai.revertKnowledge(pending.id, pending.revision, this.audit(from));
+        return {
+          text: `↩️ ${reverted.restored ? 'Restored' : 'Reverted'} *#${reverted.id}* ${reverted.question} ` +
+                `to revision ${pending.revision}`
+        };
+      }
+      
+      if (pending.action === 'import') {
+        if (importContent === null) {
+          return { text: '⌛ That import has expired. Say "import knowledge" and send the file again.' };
+        }
+        
+        // Planned again: if the knowledge base changed since the preview, the
+        // new plan is shown for another yes instead of being applied
+        const report = await this.knowledgeTransfer.import(importContent, {
+          format: pending.format,
+          author: this.audit(from).author,
+          expected: pending.fingerprint
+        });
+        if (report.outdated) {
+          const preview = await this.previewImport(from, session, report, importContent, pending.fileName);
+          return { text: `⚠️ The knowledge base changed since the preview.\n\n${preview.text}` };
+        }
+        return { text: this.describeImport(report, pending.fileName) };
+      }
+      
+      return { text: '👍 Cancelled - nothing was changed.' };
+    } catch (error) {
+      console.error('Confirmed action error:', error.message);
+      return { text: `❌ Error: ${error.message}` };
+    }
+  }
+
+  async handleKnowledgeHistory(from, id) {
+    try {
+      const revisions = await this.ai.getKnowledgeHistory(id, { limit: 10 });
+      if (revisions.length === 0) {
+        const entry = await this.ai.getKnowledge(id);
+        return {
+          text: entry
+            ? `🕘 *#${entry.id}* hasn't changed since history started being kept.`
+            : `❌ There's no knowledge entry #${id}. Say "list knowledge" to browse.`
+        };
+      }
+      
+      const icons = { original: '📜', create: '➕', update: '✏️', delete: '🗑️', revert: '↩️', restore: '♻️' };
+      const lines = revisions.map(revision => {
+        const when = revision.createdAt ? revision.createdAt.replace('T', ' ').substring(0, 16) : '';
+        const who = [revision.author, revision.source].filter(Boolean).join(', ');
+        return `*r${revision.revision}* ${icons[revision.action] || '•'} ${revision.action} ${when}` +
+               (who ? ` (${who})` : '') +
+               (revision.note ? ` - ${revision.note}` : '') +
+               `\n   ↳ ${this.preview(revision.answer, 80)}`;
+      });
+      
+      return {
+        text: `🕘 *History of #${id}* ${revisions[0].question}\n\n` +
+              `${lines.join('\n')}\n\n` +
+              `Say "revert ${id} <r>" to go back to a revision, e.g. "revert ${id} ${revisions[revisions.length - 1].revision}".`
+      };
+    } catch (error) {
+      console.error('Knowledge history error:', error.message);
+      return { text: `❌ Error: ${error.message}` };
+    }
+  }
+
+  async handleRevertKnowledge(from, id, revision, session) {
+    try {
+      const target = await this.ai.getKnowledgeRevision(id, revision);
+      if (!target) {
+        return { text: `❌ Entry #${id} has no revision ${revision}. Say "history ${id}" to see them.` };
+      }
+      
+      const existing = await this.ai.getKnowledge(id);
+      session.expecting = 'confirm';
+      session.pendingConfirmation = { action: 'revert', id: existing ? existing.id : id, revision: target.revision };
+      await this.updateSession(from, session);
+      
+      return {
+        text: `↩️ ${existing ? 'Change' : 'Restore deleted entry'} *#${id}* ${target.question}` +
+              `${existing ? ' back' : ''} to revision ${target.revision}:\n\n` +
+              `${this.preview(target.answer, 500)}\n\n` +
+              `Reply *yes* to ${existing ? 'revert' : 'restore'} or *no* to cancel.`
+      };
+    } catch (error) {
+      console.error('Revert knowledge error:', error.message);
+      return { text: `❌ Error: ${error.message}` };
+    }
+  }
+
+  async handleImportRequest(from, session) {
+    if (!this.ai.supabaseEnabled) {
+      return { text: '❌ The knowledge base isn\'t available right now.' };
+    }
+    
+    session.expecting = 'import_file';
+    await this.updateSession(from, session);
+    
+    return {
+      text: `📥 Send the file to import:\n\n` +
+            `• CSV with "question" and "answer" columns\n` +
+            `• JSON: [{ "question": "...", "answer": "..." }]\n` +
+            `• Markdown: "## Question" headings, each followed by its answer\n\n` +
+            `Entries whose question already exists are updated. ` +
+            `I'll show you what would change before saving anything. Say "cancel" to stop.`
+    };
+  }
+
+  // Previews an uploaded import file; nothing is saved until the admin confirms
+  async handleKnowledgeImport(from, mediaUrl, mediaType, session) {
+    delete session.expecting;
+    await this.updateSession(from, session);
+    
+    if (!this.roles.can(from, 'knowledge:import')) {
+      return { text: this.describePermission(from, 'knowledge:import') };
+    }
+    
+    try {
+      const { buffer, fileName } = await this.documents.fetchFile(mediaUrl, 'import');
+      const content = buffer.toString('utf-8');
+      const format = this.knowledgeTransfer.detectFormat({ mimeType: mediaType, fileName, content });
+      const report = await this.knowledgeTransfer.import(content, { format, dryRun: true });
+      return await this.previewImport(from, session, report, content, fileName);
+    } catch (error) {
+      console.error('Knowledge import error:', error.message);
+      return { text: `❌ Couldn't read that file: ${error.message}` };
+    }
+  }
+
+  // Shows a dry-run report and, if there's something to write, asks for a yes.
+  // The fingerprint of what was shown is kept so the confirmation can't apply a different plan.
+  async previewImport(from, session, report, content, fileName) {
+    const summary = this.describeImport(report, fileName);
+    
+    if (report.errors.length > 0 || report.conflicts.length > 0) {
+      return { text: `${summary}\n\nNothing was imported. Fix the file and say "import knowledge" to try again.` };
+    }
+    if (report.summary.add + report.summary.update === 0) {
+      return { text: `${summary}\n\nEverything is already up to date.` };
+    }
+    
+    session.expecting = 'confirm';
+    session.pendingConfirmation = { action: 'import', fileName, format: report.format, fingerprint: report.fingerprint };
+    await this.updateSession(from, session);
+    this.storePendingImport(from, content);
+    
+    return { text: `${summary}\n\nReply *yes* to import or *no* to cancel.` };
+  }
+
+  storePendingImport(from, content) {
+    const now = Date.now();
+    for (const [sender, pending] of this.pendingImports) {
+      if (now - pending.storedAt > this.pendingImportTtlMs) this.pendingImports.delete(sender);
+    }
+    this.pendingImports.set(from, { content, storedAt: now });
+  }
+
+  // null when there's nothing waiting, it expired or the bot restarted since the preview
+  takePendingImport(from) {
+    const pending = this.pendingImports.get(from);
+    this.pendingImports.delete(from);
+    if (!pending || Date.now() - pending.storedAt > this.pendingImportTtlMs) return null;
+    return pending.content;
+  }
+
+  describeImport(report, fileName) {
+    const { summary } = report;
+    const heading = report.applied
+      ? `✅ *Imported ${fileName}*`
+      : `📥 *${fileName}* (${report.format}, ${report.total} entries)`;
+    const counts = [
+      `➕ ${summary.add} new`,
+      `✏️ ${summary.update} updated`,
+      `✔️ ${summary.unchanged} unchanged`
+    ];
+    if (summary.conflicts > 0) counts.push(`⚠️ ${summary.conflicts} conflict(s)`);
+    if (summary.errors > 0) counts.push(`❌ ${summary.errors} error(s)`);
+    
+    const list = (title, items) => {
+      if (items.length === 0) return '';
+      const lines = items.slice(0, 10).map(item =>
+        `• ${item.row ? `Row ${item.row}: ` : ''}${item.question ? `${this.preview(item.question, 40)} - ` : ''}${item.message}`
+      );
+      if (items.length > 10) lines.push(`• ...and ${items.length - 10} more`);
+      return `\n\n${title}\n${lines.join('\n')}`;
+    };
+    
+    return `${heading}\n\n${counts.join('\n')}` +
+           list('*Errors:*', report.errors) +
+           list('*Conflicts:*', report.conflicts) +
+           list('*Failed:*', report.failed);
+  }
+
+  // Leaves whichever flow the user is in (teach, edit, import, confirmation)
+  async handleCancel(from, session) {
+    delete session.expecting;
+    delete session.pendingQuestion;
+    delete session.editingKnowledge;
+    delete session.pendingConfirmation;
+    this.pendingImports.delete(from);
+    await this.updateSession(from, session);
+    
+    return { text: '👍 Cancelled.' };
+  }
+
+  // ============ ROLES ============
+  async handleGrantRole(from, role, number) {
+    try {
+      const change = await this.roles.grant(number, role, from);
+      if (role !== 'blocked') {
+        this.notifiedBlocked.delete(`whatsapp:${change.number}`);
+      }
+      
+      return {
+        text: change.previous === role
+          ? `👥 ${change.number} already has the *${role}* role.`
+          : `✅ ${change.number} now has the *${role}* role (was ${change.previous}).`
+      };
+    } catch (error) {
+      return { text: `❌ ${error.message}` };
+    }
+  }
+
+  async handleRevokeRole(from, number) {
+    try {
+      const change = await this.roles.revoke(number, from);
+      this.notifiedBlocked.delete(`whatsapp:${change.number}`);
+      
+      return {
+        text: change.removed
+          ? `✅ ${change.number} is back to the default *${change.role}* role (was ${change.previous}).`
+          : `👥 ${change.number} already has the default *${change.role}* role.`
+      };
+    } catch (error) {
+      return { text: `❌ ${error.message}` };
+    }
+  }
+
+  async handleListRoles(from) {
+    const entries = this.roles.list();
+    const lines = entries.map(entry =>
+      `• ${entry.number} - *${entry.role}*${entry.source === 'ADMIN_NUMBERS' ? ' (ADMIN_NUMBERS)' : ''}`
+    );
+    
+    return {
+      text: `👥 *Roles*\n\n` +
+            (lines.length > 0 ? `${lines.join('\n')}\n\n` : 'No roles granted yet.\n\n') +
+            `Everyone else: *${this.roles.defaultRole}*\n\n` +
+            `• "grant contributor +254..." - Give a role (admin, contributor, viewer, blocked)\n` +
+            `• "revoke +254..." - Back to ${this.roles.defaultRole}`
+    };
+  }
+
+  async handleMyRole(from) {
+    const role = this.roles.getRole(from);
+    const abilities = {
+      admin: 'You can do everything, including importing knowledge and managing roles.',
+      contributor: 'You can ask questions and teach or edit the knowledge base.',
+      viewer: 'You can ask questions and browse the knowledge base.'
+    };
+    
+    return { text: `👤 You're a *${role}*.\n\n${abilities[role] || ''}`.trim() };
+  }
+
+  // ============ MEDIA HANDLING ============
   async handleMedia(from, mediaUrl, mediaType, session) {
     console.log(`📄 Processing ${mediaType} media...`);
     
-    // Check if it's a supported document type
     if (mediaType.includes('audio')) {
-      return {
-        text: `🎤 Voice message received.\n\n` +
-              `Voice processing is currently disabled.\n` +
-              `Please send text messages or PDF/TXT documents instead.\n\n` +
-              `Say "help" to see what I can do.`
-      };
+      return this.handleVoiceMessage(from, mediaUrl, session);
+    }
+    
+    // After "import knowledge" the next file is an import, not a library document
+    if (session.expecting === 'import_file') {
+      return this.handleKnowledgeImport(from, mediaUrl, mediaType, session);
     }
     
-    if (mediaType.includes('pdf') || mediaType === 'text/plain') {
-      const fileType = mediaType.includes('pdf') ? 'PDF' : 'TXT';
+    // Check if it's a supported document type (octet-stream is decided by the filename)
+    if (this.documents.isSupported(mediaType) || mediaType === 'application/octet-stream') {
+      const uploadLimit = this.safetyManager.consumeLimit(from, 'documents');
+      if (!uploadLimit.allowed) {
+        return { text: this.describeLimit(uploadLimit) };
+      }
       
-      await this.sendMessage(from, `📄 Processing ${fileType} document...`);
+      const isImage = mediaType.startsWith('image/');
+      await this.sendMessage(from, isImage ? `🔍 Reading text from image...` : `📄 Processing document...`);
       
       try {
         const docInfo = await this.documents.processDocument(
           mediaUrl, 
-          mediaType.includes('pdf') ? 'pdf' : 'txt',
-          `document_${Date.now()}.${fileType.toLowerCase()}`
+          mediaType,
+          `document_${this.library.list(session).length + 1}`
         );
         
-        // Store document in session
-        session.documentText = docInfo.text;
-        session.documentInfo = docInfo.info;
+        // Add to the user's library and make it the active document
+        const { document, evicted } = this.library.add(session, {
+          filename: docInfo.fileName,
+          fileType: docInfo.fileType,
+          text: docInfo.text,
+          chunks: docInfo.chunks,
+          info: docInfo.info
+        });
         session.waitingForDocumentQuestion = true;
-        this.updateSession(from, session);
+        await this.updateSession(from, session);
         
         return {
-          text: `✅ Document processed successfully!\n\n` +
+          text: `✅ *${document.filename}* processed successfully!\n\n` +
                 `📊 Extracted ${docInfo.text.length} characters` +
                 (docInfo.info.numPages ? ` from ${docInfo.info.numPages} pages` : '') +
-                (docInfo.wasTruncated ? ' (truncated for processing)' : '') +
+                ` (${docInfo.chunks.length} searchable sections)` +
+                (docInfo.ocrPages > 0 ? `\n🔍 Read ${isImage ? 'the image' : `${docInfo.ocrPages} scanned page(s)`} with OCR` : '') +
+                docInfo.warnings.map(warning => `\n⚠️ ${warning}`).join('') +
+                `\n📚 Library: ${this.library.list(session).length} document(s)` +
+                (evicted.length > 0 ? `\n🗑️ Removed oldest: ${evicted.map(doc => doc.filename).join(', ')}` : '') +
                 `\n\n💡 *Now you can:*\n` +
                 `• Ask questions about the document\n` +
                 `• Say "summarize" for a summary\n` +
                 `• Say "extract" for key points\n` +
-                `• Say "save document" to add to knowledge\n\n` +
+                `• Say "save document" to add to knowledge\n` +
+                `• Say "docs" to see all your documents\n\n` +
                 `Just type your question about the document!`
         };
       } catch (error) {
         console.error('Document processing error:', error);
         return { 
           text: `❌ Error processing document:\n${error.message}\n\n` +
-                `Please ensure it's a valid PDF or text file and try again.`
+                `Supported formats: ${this.documents.describeSupportedTypes()}.`
         };
       }
     } else {
       return {
         text: `📎 I received a ${mediaType.split('/')[1]} file.\n\n` +
               `I currently support:\n` +
-              `• PDF documents\n` +
-              `• Text files (.txt)\n\n` +
-              `Voice messages are currently disabled.\n\n` +
-              `Try sending a PDF or text file instead!`
+              `• Documents: ${this.documents.describeSupportedTypes()}\n` +
+              `• Voice notes\n\n` +
+              `Try sending one of those instead!`
+      };
+    }
+  }
+
+  async handleVoiceMessage(from, mediaUrl, session) {
+    if (!this.voice.enabled) {
+      return {
+        text: `🎤 Voice message received.\n\n` +
+              `Voice processing is currently disabled.\n` +
+              `Please send text messages or documents instead.\n\n` +
+              `Say "help" to see what I can do.`
       };
     }
+    
+    let transcript;
+    try {
+      const voiceInfo = await this.voice.processVoiceMessage(mediaUrl);
+      // Whisper punctuates short commands ("Summarize.") - drop that so they still match
+      transcript = voiceInfo.text.replace(/[.!]+$/, '').trim();
+    } catch (error) {
+      console.error('Voice transcription error:', error);
+      return { text: `❌ Sorry, I couldn't transcribe that voice note.\n\nPlease try again or type your message.` };
+    }
+    
+    if (!transcript) {
+      return { text: `🎤 I couldn't hear anything in that voice note. Please try again or type your message.` };
+    }
+    
+    console.log(`🎤 Transcript: "${transcript.substring(0, 100)}"`);
+    await this.ai.saveMessage(from, transcript, 'voice');
+    
+    // Voice behaves exactly like typed text, in whatever flow the user is in
+    const response = await this.handleTextMessage(from, transcript, session);
+    if (!response) return response;
+    
+    return {
+      ...response,
+      text: `🎤 _"${transcript}"_\n\n${response.text}`,
+      speech: response.speech || response.text
+    };
   }
 
   async handleDocumentQuestion(from, question, session) {
-    if (!session.documentText) {
+    const searchAll = session.documentScope === 'all';
+    const active = this.library.getActive(session);
+    
+    if (!active && !(searchAll && this.library.list(session).length > 0)) {
       delete session.waitingForDocumentQuestion;
-      this.updateSession(from, session);
+      await this.updateSession(from, session);
       return { text: 'Document context lost. Please upload the document again.' };
     }
     
-    const context = session.documentText.substring(0, 3000);
+    const quotaReply = this.checkAIQuota(from);
+    if (quotaReply) return quotaReply;
     
     try {
-      const answer = await this.ai.queryGroqAI(
-        `Based on this document content:\n\n${context}\n\nQuestion: ${question}\n\nAnswer:`
+      // Only the sections relevant to the question go to the model, wherever they are in the document
+      const lastQuestion = this.memory.getLastQuestion(session);
+      const chunks = await this.documents.retrieveChunks(
+        this.library.getSearchChunks(session),
+        lastQuestion ? `${lastQuestion}\n${question}` : question
+      );
+      const { context, pages, sources } = chunks.length > 0
+        ? this.documents.buildContext(chunks, Infinity)
+        : { context: (active?.text || '').substring(0, 3000), pages: [], sources: [] };
+      
+      const answer = await this.ai.queryAI(
+        `Based on these excerpts from ${searchAll ? 'the user\'s documents' : 'the document'}:\n\n${context}\n\nQuestion: ${question}\n\n` +
+        `If the excerpts don't contain the answer, say so.` +
+        (!searchAll && pages.length > 0 ? ` Finish with a final line "Pages:" listing the [p. N] numbers of the excerpts you used.` : '') +
+        `\n\nAnswer:`,
+        null,
+        { history: this.memory.getHistory(session) }
       );
       
       if (answer) {
-        return { text: `📄 *Answer:*\n\n${answer}` };
+        this.safetyManager.recordUsage(from, 'ai');
+        const cited = this.documents.extractCitedPages(answer, pages);
+        
+        // Remember the question itself, not the excerpt-laden prompt
+        await this.memory.addTurn(session, question, cited.answer, from);
+        await this.updateSession(from, session);
+        
+        if (searchAll) {
+          const citations = this.documents.formatSourceCitations(sources);
+          return { text: `📚 *Answer (all documents):*\n\n${cited.answer}${citations ? `\n\n${citations}` : ''}` };
+        }
+        
+        return { text: `📄 *Answer:*\n\n${this.withCitations(cited.answer, cited.pages)}` };
       } else {
         return { text: 'Could not answer question. Try asking differently.' };
       }
@@ -388,22 +1061,99 @@ class WhatsAppBotNatural {
     }
   }
 
+  async handleListDocuments(from, session) {
+    const documents = this.library.list(session);
+    
+    if (documents.length === 0) {
+      return { text: '📚 Your library is empty.\n\nSend a document to add one.' };
+    }
+    
+    const lines = documents.map((doc, i) => {
+      const marker = session.documentScope !== 'all' && doc.id === session.activeDocumentId ? ' ✅' : '';
+      return this.library.describe(doc, i + 1) + marker;
+    });
+    
+    return {
+      text: `📚 *Your documents:*\n\n${lines.join('\n')}\n\n` +
+            (session.documentScope === 'all' ? `🔎 Questions search *all documents*\n\n` : '') +
+            `• "use doc 2" - Ask about document 2\n` +
+            `• "delete doc 3" - Remove document 3\n` +
+            `• "ask all docs" - Search every document`
+    };
+  }
+
+  async handleUseDocument(from, number, session) {
+    const document = this.library.select(session, number);
+    if (!document) {
+      return { text: `❌ There's no document ${number}. Say "docs" to see your library.` };
+    }
+    
+    session.waitingForDocumentQuestion = true;
+    await this.updateSession(from, session);
+    
+    return {
+      text: `📄 Now using *${document.filename}*.\n\n` +
+            `Ask a question, or say "summarize" or "extract".`
+    };
+  }
+
+  async handleDeleteDocument(from, number, session) {
+    const document = this.library.remove(session, number);
+    if (!document) {
+      return { text: `❌ There's no document ${number}. Say "docs" to see your library.` };
+    }
+    
+    const remaining = this.library.list(session).length;
+    const active = this.library.getActive(session);
+    if (remaining === 0) {
+      delete session.waitingForDocumentQuestion;
+      delete session.documentScope;
+    }
+    await this.updateSession(from, session);
+    
+    return {
+      text: `🗑️ Deleted *${document.filename}*.\n\n` +
+            (active ? `Now using *${active.filename}*.` : 'Your library is now empty.')
+    };
+  }
+
+  async handleAskAllDocuments(from, session) {
+    const documents = this.library.list(session);
+    if (documents.length === 0) {
+      return { text: '📚 Your library is empty.\n\nSend a document to add one.' };
+    }
+    
+    session.documentScope = 'all';
+    session.waitingForDocumentQuestion = true;
+    await this.updateSession(from, session);
+    
+    return {
+      text: `🔎 Questions will now search all ${documents.length} document(s).\n\n` +
+            `Say "use doc 1" to go back to a single document.`
+    };
+  }
+
   async handleDocumentSummary(from, session) {
-    if (!session.documentText) {
+    const document = this.library.getActive(session);
+    if (!document) {
       return { text: 'No document loaded. Please upload a document first.' };
     }
     
-    const context = session.documentText.substring(0, 4000);
+    const quotaReply = this.checkAIQuota(from);
+    if (quotaReply) return quotaReply;
+    
+    const { context, pages } = this.documents.buildContext(document.chunks || [], 4000);
     
     try {
-      const summary = await this.ai.queryGroqAI(
+      const summary = await this.ai.queryAI(
         `Please summarize the following document content in 3-5 key bullet points:\n\n${context}\n\nSummary:`
       );
       
       if (summary) {
+        this.safetyManager.recordUsage(from, 'ai');
         delete session.waitingForDocumentQuestion;
-        this.updateSession(from, session);
-        return { text: `📄 *Document Summary:*\n\n${summary}` };
+        await this.updateSession(from, session);
+        return { text: `📄 *Summary of ${document.filename}:*\n\n${this.withCitations(summary, pages)}` };
       }
     } catch (error) {
       console.error('Summary error:', error);
@@ -413,20 +1163,36 @@ class WhatsAppBotNatural {
   }
 
   async handleSaveDocument(from, session) {
-    if (!session.documentText) {
+    const document = this.library.getActive(session);
+    if (!document) {
       return { text: 'No document to save. Please upload a document first.' };
     }
     
     try {
-      const question = `Document content (${session.documentInfo?.numPages || 'unknown'} pages)`;
-      const answer = `Document content:\n\n${session.documentText.substring(0, 2000)}${session.documentText.length > 2000 ? '...' : ''}`;
+      const { context, pages } = this.documents.buildContext(document.chunks || [], 4000);
+      
+      // Without AI quota left the raw text is saved instead of a summary
+      const canSummarize = this.safetyManager.checkLimit(from, 'ai').allowed;
+      const summary = canSummarize
+        ? await this.ai.queryAI(
+          `Summarize this document in a short paragraph so someone can tell what it covers:\n\n${context}\n\nSummary:`
+        )
+        : null;
+      if (summary) {
+        this.safetyManager.recordUsage(from, 'ai');
+      }
       
-      const result = await this.ai.addKnowledge(question, answer);
+      const details = [
+        document.numPages ? `${document.numPages} pages` : null,
+        `uploaded ${document.uploadedAt.split('T')[0]}`
+      ].filter(Boolean).join(', ');
       
-      delete session.documentText;
-      delete session.waitingForDocumentQuestion;
-      delete session.documentInfo;
-      this.updateSession(from, session);
+      const question = `What is in ${document.filename}?`;
+      const answer = summary
+        ? `${document.filename} (${details}):\n\n${this.withCitations(summary, pages)}`
+        : `${document.filename} (${details}):\n\n${document.text.substring(0, 2000)}${document.text.length > 2000 ? '...' : ''}`;
+      
+      const result = await this.ai.addKnowledge(question, answer, this.audit(from));
       
       return { text: `✅ Document saved to knowledge base!\n\n${result.result}` };
     } catch (error) {
@@ -436,20 +1202,25 @@ class WhatsAppBotNatural {
   }
 
   async handleExtractInfo(from, session) {
-    if (!session.documentText) {
+    const document = this.library.getActive(session);
+    if (!document) {
       return { text: 'No document loaded. Please upload a document first.' };
     }
     
-    const context = session.documentText.substring(0, 4000);
+    const quotaReply = this.checkAIQuota(from);
+    if (quotaReply) return quotaReply;
+    
+    const { context, pages } = this.documents.buildContext(document.chunks || [], 4000);
     
     try {
-      const keyInfo = await this.ai.queryGroqAI(
+      const keyInfo = await this.ai.queryAI(
         `Extract the most important information from this document:\n\n${context}\n\n` +
         `Provide:\n1. Main topics\n2. Key dates/numbers\n3. Important names\n4. Main conclusions`
       );
       
       if (keyInfo) {
-        return { text: `📄 *Key Information:*\n\n${keyInfo}` };
+        this.safetyManager.recordUsage(from, 'ai');
+        return { text: `📄 *Key Information from ${document.filename}:*\n\n${this.withCitations(keyInfo, pages)}` };
       }
     } catch (error) {
       console.error('Extract info error:', error);
@@ -459,54 +1230,194 @@ class WhatsAppBotNatural {
   }
 
   // ============ UTILITY METHODS ============
-  async sendMessage(to, text) {
+  // Returns a refusal if the user has no AI calls left today, otherwise null
+  checkAIQuota(from) {
+    const limit = this.safetyManager.checkLimit(from, 'ai');
+    if (limit.allowed) return null;
+    
+    this.safetyManager.noteRejection(from, 'ai');
+    return { text: this.describeLimit(limit) };
+  }
+
+  describeLimit(limit) {
+    const wait = this.formatWait(limit.retryAt - Date.now());
+    
+    switch (limit.kind) {
+      case 'messages':
+        return `⏳ You're sending messages faster than I can keep up.\n\nPlease wait ${wait} and try again.`;
+      case 'ai':
+        return `⏳ You've used all ${limit.max} AI answers for today.\n\n` +
+               `You can ask again in ${wait}. Answers from the knowledge base still work.`;
+      case 'documents':
+        return `⏳ You've reached today's limit of ${limit.max} document uploads.\n\n` +
+               `You can send more in ${wait}. Say "docs" to use the ones you already have.`;
+      default:
+        return `⏳ Please try again in ${wait}.`;
+    }
+  }
+
+  formatWait(ms) {
+    if (ms < 60 * 1000) {
+      return `${Math.max(1, Math.ceil(ms / 1000))} seconds`;
+    }
+    
+    const minutes = Math.ceil(ms / 60000);
+    if (minutes < 60) {
+      return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
+
+  // Who made a knowledge change, for the revision history
+  audit(from) {
+    return { author: this.roles.display(from), source: 'chat' };
+  }
+
+  describePermission(from, permission) {
+    const role = this.roles.getRole(from);
+    const needed = this.roles.requiredRole(permission);
+    return `🚫 Sorry, you can't do that - it needs *${needed}* access and you're a *${role}*.\n\n` +
+           `Ask an admin if you need it. Say "help" to see what you can do.`;
+  }
+
+  preview(text, maxLength) {
+    const flat = (text || '').replace(/\s+/g, ' ').trim();
+    return flat.length > maxLength ? `${flat.substring(0, maxLength - 3)}...` : flat;
+  }
+
+  withCitations(text, pages) {
+    const citations = this.documents.formatCitations(pages);
+    return citations ? `${text}\n\n${citations}` : text;
+  }
+
+  async sendVoiceReply(to, text) {
+    if (!process.env.BASE_URL) {
+      console.warn('🔊 Voice reply skipped - BASE_URL is required so Twilio can fetch the audio');
+      return;
+    }
+    
     try {
-      const messageData = {
-        from: this.whatsappNumber,
-        to: to,
-        body: text.substring(0, 1600)
-      };
+      const { mediaPaths, shortened } = await this.voice.createVoiceReply(text);
+      
+      // WhatsApp takes one media item per message, so each clip goes out on its own
+      for (const mediaPath of mediaPaths) {
+        await this.sendMessage(to, null, `${process.env.BASE_URL}${mediaPath}`);
+      }
+      
+      if (shortened) {
+        await this.sendMessage(to, '🔊 The voice reply was too long, so it stops early - the full answer is in the text reply.');
+      }
+    } catch (error) {
+      // The text answer has already gone out, so a failed clip is not worth an error reply
+      console.error('Voice reply error:', error.message);
+    }
+  }
+
+  async sendMessage(to, text, mediaUrl = null) {
+    try {
+      // Text over the WhatsApp limit goes out as ordered "(1/3)" parts
+      const parts = text ? this.splitter.split(text) : [null];
+      let record;
       
-      const message = await this.client.messages.create(messageData);
-      console.log(`📤 Sent to ${to.substring(0, 15)}...`);
-      return message;
+      for (const [i, part] of parts.entries()) {
+        const messageData = {
+          from: this.whatsappNumber,
+          to: to
+        };
+        
+        if (part) {
+          messageData.body = part;
+        }
+        if (mediaUrl && i === 0) {
+          messageData.mediaUrl = [mediaUrl];
+        }
+        
+        // The queue paces sends and records delivery
+        record = await this.outbound.send(messageData, { resendable: parts.length === 1 });
+        
+        // Later parts would read wrong without this one, so they aren't sent
+        if (record.status === 'failed') {
+          if (i < parts.length - 1) {
+            console.warn(`📪 Stopped a ${parts.length}-part reply after part ${i + 1} failed`);
+          }
+          break;
+        }
+      }
+      
+      if (record.status === 'failed') {
+        console.warn(`📪 Send to ${to.substring(0, 15)}... failed`);
+      } else {
+        console.log(`📤 Sent to ${to.substring(0, 15)}...${parts.length > 1 ? ` (${parts.length} parts)` : ''}`);
+      }
+      return record;
     } catch (error) {
       console.error('Send error:', error.message);
       throw error;
     }
   }
 
-  getSession(userId) {
-    if (!this.sessions.has(userId)) {
-      this.sessions.set(userId, {
+  async getSession(userId) {
+    let session = null;
+    try {
+      session = await this.sessions.get(userId);
+    } catch (error) {
+      // Keep answering with a fresh session rather than failing the message
+      console.error('Session load error:', error.message);
+    }
+    
+    if (!session) {
+      session = {
         aiMode: false, // Default to knowledge mode
         createdAt: Date.now(),
         lastActivity: Date.now()
-      });
+      };
       console.log(`👤 New session for ${userId.substring(0, 15)}... (Default: Knowledge mode)`);
     }
     
-    const session = this.sessions.get(userId);
     session.lastActivity = Date.now();
     return session;
   }
 
-  updateSession(userId, session) {
+  async updateSession(userId, session) {
     session.lastActivity = Date.now();
-    this.sessions.set(userId, session);
+    try {
+      await this.sessions.set(userId, session);
+    } catch (error) {
+      console.error('Session save error:', error.message);
+    }
   }
 
   handleStatusCallback(req, res) {
-    const { MessageSid, MessageStatus } = req.body;
-    console.log(`📊 Status: ${MessageSid?.substring(0, 8)} = ${MessageStatus}`);
+    const { MessageSid, MessageStatus, ErrorCode } = req.body;
+    console.log(`📊 Status: ${MessageSid?.substring(0, 8)} = ${MessageStatus}${ErrorCode ? ` (error ${ErrorCode})` : ''}`);
     res.set('Content-Type', 'text/xml');
     res.send('<Response></Response>');
+    
+    this.outbound.handleStatusUpdate(req.body).catch(error => {
+      console.error('Status update error:', error.message);
+    });
   }
 
   setupWebhook(app, webhookPath = '/whatsapp-webhook', statusPath = '/whatsapp-status') {
-    app.post(webhookPath, (req, res) => this.handleIncoming(req, res));
-    app.post(statusPath, (req, res) => this.handleStatusCallback(req, res));
-    console.log(`✅ WhatsApp webhooks configured`);
+    // Fails startup with a clear message if signatures can't be checked
+    this.webhookGuard.validateConfig();
+    
+    // Ask Twilio to report delivery of every message we send
+    if (process.env.BASE_URL) {
+      this.outbound.statusCallbackUrl = `${process.env.BASE_URL.replace(/\/+$/, '')}${statusPath}`;
+    }
+    
+    app.post(
+      webhookPath,
+      this.webhookGuard.middleware(),
+      (req, res) => this.handleIncoming(req, res)
+    );
+    app.post(
+      statusPath,
+      this.webhookGuard.middleware(),
+      (req, res) => this.handleStatusCallback(req, res)
+    );
+    console.log(`✅ WhatsApp webhooks configured${this.webhookGuard.enabled ? ' (signature validation on)' : ''}`);
   }
 }
 
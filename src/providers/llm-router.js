@@ -0,0 +1,138 @@
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
+const OllamaProvider = require('./ollama-provider');
+const MockProvider = require('./mock-provider');
+
+const DEFAULT_SYSTEM_PROMPT = 'You are a helpful AI assistant. Provide accurate, concise answers in plain text (no markdown).';
+
+class LLMRouter {
+  constructor(safetyManager) {
+    this.safetyManager = safetyManager;
+    this.attempts = parseInt(process.env.LLM_RETRY_ATTEMPTS) || 2;
+    // 0 is a valid temperature, so only a missing/invalid value falls back
+    const temperature = parseFloat(process.env.LLM_TEMPERATURE);
+    this.temperature = Number.isNaN(temperature) ? 0.7 : temperature;
+    this.maxTokens = parseInt(process.env.LLM_MAX_TOKENS) || 800;
+    this.timeout = parseInt(process.env.LLM_TIMEOUT_MS) || 15000;
+    
+    // Primary first, then fallbacks in the order given
+    const primary = (process.env.LLM_PROVIDER || 'groq').trim().toLowerCase();
+    const fallbacks = (process.env.LLM_FALLBACKS || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+    
+    this.providers = [...new Set([primary, ...fallbacks])]
+      .map(name => this.createProvider(name))
+      .filter(provider => {
+        if (!provider) return false;
+        if (!provider.isConfigured()) {
+          console.log(`ℹ️  LLM provider "${provider.name}" is not configured - skipping`);
+          return false;
+        }
+        return true;
+      });
+  }
+
+  createProvider(name) {
+    switch (name) {
+      case 'groq':
+        return new OpenAICompatibleProvider({
+          name: 'groq',
+          baseUrl: 'https://api.groq.com/openai/v1',
+          apiKey: process.env.GROQ_API_KEY,
+          model: process.env.GROQ_MODEL || 'llama-3.1-8b-instant',
+          timeout: this.timeout
+        });
+      case 'openai':
+        return new OpenAICompatibleProvider({
+          name: 'openai',
+          baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+          apiKey: process.env.OPENAI_API_KEY,
+          model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+          // Self-hosted OpenAI-compatible servers often run without a key
+          requiresKey: !process.env.OPENAI_BASE_URL,
+          timeout: this.timeout
+        });
+      case 'llamacpp':
+        return new OpenAICompatibleProvider({
+          name: 'llamacpp',
+          baseUrl: process.env.LLAMACPP_URL || 'http://localhost:8080/v1',
+          apiKey: process.env.LLAMACPP_API_KEY || null,
+          model: process.env.LLAMACPP_MODEL || 'default',
+          requiresKey: false,
+          timeout: parseInt(process.env.LOCAL_LLM_TIMEOUT_MS) || 60000
+        });
+      case 'ollama':
+        return new OllamaProvider({
+          baseUrl: process.env.OLLAMA_URL || 'http://localhost:11434',
+          model: process.env.OLLAMA_MODEL || 'llama3.1',
+          timeout: parseInt(process.env.LOCAL_LLM_TIMEOUT_MS) || 60000
+        });
+      case 'mock':
+        return new MockProvider({ response: process.env.MOCK_LLM_RESPONSE || null });
+      default:
+        console.warn(`⚠️  Unknown LLM provider "${name}" - expected groq, openai, llamacpp, ollama or mock`);
+        return null;
+    }
+  }
+
+  isEnabled() {
+    return this.providers.length > 0;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      providers: this.providers.map(provider => ({
+        name: provider.name,
+        model: provider.model
+      }))
+    };
+  }
+
+  describe() {
+    if (!this.isEnabled()) return 'Not configured';
+    return this.providers.map(provider => `${provider.name} (${provider.model})`).join(' → ');
+  }
+
+  buildMessages(question, { context = null, history = [], systemPrompt = DEFAULT_SYSTEM_PROMPT } = {}) {
+    const messages = [{ role: 'system', content: systemPrompt }];
+    
+    if (context) {
+      messages.push({ role: 'system', content: `Context: ${context}` });
+    }
+    
+    // Earlier turns sit between the instructions and the new question
+    messages.push(...history);
+    messages.push({ role: 'user', content: question });
+    return messages;
+  }
+
+  async chat(messages, options = {}) {
+    const settings = {
+      temperature: options.temperature ?? this.temperature,
+      maxTokens: options.maxTokens ?? this.maxTokens
+    };
+    
+    for (const provider of this.providers) {
+      try {
+        // Each provider has its own breaker, so an outage skips straight to the fallback
+        const text = await this.safetyManager.withResilience(
+          `llm:${provider.name}`,
+          () => provider.chat(messages, settings),
+          { attempts: this.attempts }
+        );
+        if (text) {
+          return { text, provider: provider.name };
+        }
+        console.warn(`⚠️  LLM provider "${provider.name}" returned an empty answer`);
+      } catch (error) {
+        console.error(`LLM provider "${provider.name}" error:`, error.message);
+      }
+    }
+    
+    return null;
+  }
+}
+
+module.exports = LLMRouter;
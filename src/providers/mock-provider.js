@@ -0,0 +1,23 @@
+// Deterministic provider for tests and offline demos: same messages in, same answer out
+class MockProvider {
+  constructor({ name = 'mock', response = null } = {}) {
+    this.name = name;
+    this.model = 'mock';
+    this.fixedResponse = response;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async chat(messages) {
+    if (this.fixedResponse) return this.fixedResponse;
+    
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const prompt = (lastUser?.content || '').replace(/\s+/g, ' ').trim();
+    
+    return `[mock] ${prompt.substring(0, 200)}${prompt.length > 200 ? '...' : ''}`;
+  }
+}
+
+module.exports = MockProvider;
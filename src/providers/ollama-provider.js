@@ -0,0 +1,34 @@
+const axios = require('axios');
+
+class OllamaProvider {
+  constructor({ name = 'ollama', baseUrl, model, timeout = 60000 }) {
+    this.name = name;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.model = model;
+    this.timeout = timeout;
+  }
+
+  isConfigured() {
+    return !!this.baseUrl && !!this.model;
+  }
+
+  async chat(messages, { temperature = 0.7, maxTokens = 800 } = {}) {
+    const response = await axios.post(
+      `${this.baseUrl}/api/chat`,
+      {
+        model: this.model,
+        messages: messages,
+        stream: false,
+        options: {
+          temperature: temperature,
+          num_predict: maxTokens
+        }
+      },
+      { timeout: this.timeout }
+    );
+    
+    return response.data?.message?.content?.trim() || null;
+  }
+}
+
+module.exports = OllamaProvider;
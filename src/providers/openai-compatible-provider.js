@@ -0,0 +1,42 @@
+const axios = require('axios');
+
+// Works with any /chat/completions endpoint: Groq, OpenAI, llama.cpp server, vLLM, LM Studio...
+class OpenAICompatibleProvider {
+  constructor({ name, baseUrl, apiKey = null, model, requiresKey = true, timeout = 15000 }) {
+    this.name = name;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.requiresKey = requiresKey;
+    this.timeout = timeout;
+  }
+
+  isConfigured() {
+    return !!this.baseUrl && !!this.model && (!this.requiresKey || !!this.apiKey);
+  }
+
+  async chat(messages, { temperature = 0.7, maxTokens = 800 } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      {
+        model: this.model,
+        messages: messages,
+        temperature: temperature,
+        max_tokens: maxTokens
+      },
+      {
+        headers: headers,
+        timeout: this.timeout
+      }
+    );
+    
+    return response.data?.choices?.[0]?.message?.content?.trim() || null;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
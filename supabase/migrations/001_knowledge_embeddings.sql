@@ -0,0 +1,48 @@
+-- Semantic search for knowledge_base (384 dimensions = Xenova/all-MiniLM-L6-v2).
+-- With pgvector the embedding column is vector(384) and match_knowledge()
+-- serves KB_VECTOR_BACKEND=pgvector. Without it the column is jsonb and the
+-- bot searches an in-process index (KB_VECTOR_BACKEND=memory, the default).
+
+do $migration$
+begin
+  if exists (select 1 from pg_available_extensions where name = 'vector') then
+    create extension if not exists vector;
+
+    alter table knowledge_base add column if not exists embedding vector(384);
+
+    create index if not exists knowledge_base_embedding_idx
+      on knowledge_base using hnsw (embedding vector_cosine_ops);
+
+    create or replace function match_knowledge(
+      query_embedding vector(384),
+      match_threshold float,
+      match_count int
+    )
+    returns table (
+      id knowledge_base.id%type,
+      question text,
+      answer text,
+      content text,
+      similarity float
+    )
+    language sql stable
+    as $fn$
+      select
+        kb.id,
+        kb.question,
+        kb.answer,
+        kb.content,
+        1 - (kb.embedding <=> query_embedding) as similarity
+      from knowledge_base kb
+      where kb.embedding is not null
+        and 1 - (kb.embedding <=> query_embedding) >= match_threshold
+      order by kb.embedding <=> query_embedding
+      limit match_count;
+    $fn$;
+  else
+    raise notice 'pgvector is not available - embeddings are stored as jsonb, use KB_VECTOR_BACKEND=memory';
+
+    alter table knowledge_base add column if not exists embedding jsonb;
+  end if;
+end
+$migration$;
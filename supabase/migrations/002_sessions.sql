@@ -0,0 +1,10 @@
+-- Chat sessions for SESSION_STORE=supabase. updated_at is the last activity
+-- time and drives idle expiry.
+
+create table if not exists sessions (
+  user_id text primary key,
+  data jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists sessions_updated_at_idx on sessions (updated_at);
@@ -0,0 +1,21 @@
+-- Delivery log for outgoing WhatsApp messages. Rows are written when a
+-- message is queued and updated from Twilio status callbacks.
+
+create table if not exists outbound_messages (
+  id text primary key,
+  sid text,
+  to_number text not null,
+  body text,
+  media_url text,
+  status text not null,
+  attempts integer not null default 0,
+  error_code text,
+  error_message text,
+  history jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists outbound_messages_sid_idx on outbound_messages (sid);
+create index if not exists outbound_messages_to_idx on outbound_messages (to_number, created_at desc);
+create index if not exists outbound_messages_status_idx on outbound_messages (status, created_at desc);
@@ -0,0 +1,20 @@
+-- Revision history for the knowledge base. Every insert, update, delete and
+-- revert of a knowledge_base row adds a numbered revision holding the entry
+-- as it was after the change (for deletes: as it was when deleted).
+-- knowledge_id is text so it works with numeric and uuid ids.
+
+create table if not exists knowledge_revisions (
+  id bigserial primary key,
+  knowledge_id text not null,
+  revision integer not null,
+  action text not null,
+  question text,
+  answer text,
+  author text,
+  source text,
+  note text,
+  created_at timestamptz not null default now(),
+  unique (knowledge_id, revision)
+);
+
+create index if not exists knowledge_revisions_created_at_idx on knowledge_revisions (created_at desc);
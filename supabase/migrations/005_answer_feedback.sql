@@ -0,0 +1,21 @@
+-- Ratings of the bot's answers. Each answer gets a short id; a user's 👍 (1)
+-- or 👎 (-1) on it, and an optional "wrong: ..." correction, is one row.
+-- Rows for knowledge base answers carry knowledge_id and feed search ranking.
+
+create table if not exists answer_feedback (
+  id bigserial primary key,
+  answer_id text not null,
+  user_id text not null,
+  rating smallint not null check (rating in (-1, 1)),
+  correction text,
+  source text not null,
+  knowledge_id text,
+  question text,
+  answer text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (answer_id, user_id)
+);
+
+create index if not exists answer_feedback_knowledge_idx on answer_feedback (knowledge_id);
+create index if not exists answer_feedback_source_idx on answer_feedback (source, created_at desc);
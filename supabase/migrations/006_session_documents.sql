@@ -0,0 +1,11 @@
+-- Uploaded documents (text and chunk embeddings) for SESSION_STORE=supabase,
+-- kept apart from sessions so the session row stays small. One row per user,
+-- written when their document library changes.
+
+create table if not exists session_documents (
+  user_id text primary key,
+  data jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists session_documents_updated_at_idx on session_documents (updated_at);
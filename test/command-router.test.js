@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CommandRouter = require('../src/platforms/command-router');
+
+// The bot's commands, in the bot's registration order
+function createRouter() {
+  let states = [];
+  const router = new CommandRouter(() => states);
+  [
+    require('../src/platforms/commands/mode-commands'),
+    require('../src/platforms/commands/conversation-commands'),
+    require('../src/platforms/commands/voice-commands'),
+    require('../src/platforms/commands/general-commands'),
+    require('../src/platforms/commands/teach-commands'),
+    require('../src/platforms/commands/knowledge-commands'),
+    require('../src/platforms/commands/document-commands'),
+    require('../src/platforms/commands/role-commands'),
+    require('../src/platforms/commands/feedback-commands'),
+    require('../src/platforms/commands/info-commands')
+  ].forEach(commands => router.registerAll(commands));
+
+  return (message, activeStates = []) => {
+    states = activeStates;
+    const route = router.route(message, {});
+    return route && route.command.name;
+  };
+}
+
+const route = createRouter();
+
+// Right after an upload: a document is open and its questions are expected
+const AFTER_UPLOAD = ['document', 'document_question'];
+
+test('commands keep working right after a document upload', () => {
+  assert.strictEqual(route('use doc 2', AFTER_UPLOAD), 'use-doc');
+  assert.strictEqual(route('delete doc 1', AFTER_UPLOAD), 'delete-doc');
+  assert.strictEqual(route('search knowledge refund', AFTER_UPLOAD), 'search-knowledge');
+  assert.strictEqual(route('list knowledge', AFTER_UPLOAD), 'list-knowledge');
+  assert.strictEqual(route('show 12', AFTER_UPLOAD), 'show-knowledge');
+  assert.strictEqual(route('hi', AFTER_UPLOAD), 'greeting');
+  assert.strictEqual(route('👍', AFTER_UPLOAD), 'feedback-up');
+  assert.strictEqual(route('wrong: it is 30 days', AFTER_UPLOAD), 'feedback-wrong');
+  assert.strictEqual(route('grant contributor +254700000001', AFTER_UPLOAD), 'grant-role');
+  assert.strictEqual(route('summarize', AFTER_UPLOAD), 'summarize');
+});
+
+test('other messages after an upload are questions about the document', () => {
+  assert.strictEqual(route('find the invoice total', AFTER_UPLOAD), 'document-question');
+  assert.strictEqual(route('what is the total?', AFTER_UPLOAD), 'document-question');
+  assert.strictEqual(route('find the invoice total', ['document']), null);
+});
+
+test('input flows take free text before prefix and regex commands', () => {
+  assert.strictEqual(route('find the invoice total', ['edit_answer']), 'edit-answer');
+  assert.strictEqual(route('show 12', ['edit_answer']), 'edit-answer');
+  assert.strictEqual(route('find the invoice total', ['confirm']), 'confirm');
+  assert.strictEqual(route('use doc 2', ['add_question']), 'teach-question');
+  assert.strictEqual(route('list knowledge', ['add_answer']), 'teach-answer');
+  assert.strictEqual(route('find the invoice total', ['edit_answer', ...AFTER_UPLOAD]), 'edit-answer');
+});
+
+test('input flows still answer their exact commands', () => {
+  assert.strictEqual(route('cancel', ['edit_answer']), 'cancel');
+  assert.strictEqual(route('help', ['add_question']), 'help');
+});
+
+test('without an open document, prefix and regex commands route as usual', () => {
+  assert.strictEqual(route('find refund'), 'find-knowledge');
+  assert.strictEqual(route('find knowledge refund'), 'search-knowledge');
+  assert.strictEqual(route('use doc 2'), 'use-doc');
+  assert.strictEqual(route('what is the return policy?'), null);
+});
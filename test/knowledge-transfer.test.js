@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const KnowledgeTransfer = require('../src/core/knowledge-transfer');
+
+// Just enough of KnowledgeBase for planning and applying imports
+function createKnowledgeBase(entries) {
+  return {
+    entries,
+    all: async () => entries.map(entry => ({ ...entry })),
+    insertKnowledge: async (question, answer) => {
+      const entry = { id: entries.length + 1, question, answer };
+      entries.push(entry);
+      return entry;
+    },
+    updateKnowledge: async (id, { answer }) => {
+      entries.find(entry => entry.id === id).answer = answer;
+    }
+  };
+}
+
+const CSV = 'question,answer\nShipping?,3 days\nRefunds?,30 days\n';
+
+test('an import whose plan still matches the preview is applied', async () => {
+  const knowledgeBase = createKnowledgeBase([{ id: 1, question: 'Refunds?', answer: '14 days' }]);
+  const transfer = new KnowledgeTransfer(knowledgeBase);
+
+  const preview = await transfer.import(CSV, { format: 'csv', dryRun: true });
+  const report = await transfer.import(CSV, { format: 'csv', expected: preview.fingerprint });
+
+  assert.strictEqual(report.outdated, false);
+  assert.strictEqual(report.applied, true);
+  assert.deepStrictEqual(knowledgeBase.entries.map(entry => entry.answer), ['30 days', '3 days']);
+});
+
+test('an import is not applied when the knowledge base changed since the preview', async () => {
+  const knowledgeBase = createKnowledgeBase([{ id: 1, question: 'Refunds?', answer: '14 days' }]);
+  const transfer = new KnowledgeTransfer(knowledgeBase);
+
+  const preview = await transfer.import(CSV, { format: 'csv', dryRun: true });
+  knowledgeBase.entries.push({ id: 2, question: 'Shipping?', answer: '5 days' });
+  const report = await transfer.import(CSV, { format: 'csv', expected: preview.fingerprint });
+
+  assert.strictEqual(report.outdated, true);
+  assert.strictEqual(report.applied, false);
+  assert.deepStrictEqual(report.summary, { add: 0, update: 2, unchanged: 0, conflicts: 0, errors: 0 });
+  assert.notStrictEqual(report.fingerprint, preview.fingerprint);
+  assert.deepStrictEqual(knowledgeBase.entries.map(entry => entry.answer), ['14 days', '5 days']);
+});
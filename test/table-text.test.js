@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { rowsToText } = require('../src/core/extractors/table-text');
+
+test('rows keep their spreadsheet numbers after blank rows', () => {
+  const text = rowsToText([
+    ['Name', 'Amount'],
+    ['Alice', 30],
+    [''],
+    ['', null],
+    ['Bob', 40]
+  ]);
+
+  assert.strictEqual(text, 'Row 2: Name: Alice; Amount: 30\nRow 5: Name: Bob; Amount: 40');
+});
+
+test('a header below blank rows keeps its place', () => {
+  const rows = [];
+  rows[1] = ['Name'];
+  rows[3] = ['Alice'];
+
+  assert.strictEqual(rowsToText(rows), 'Row 4: Name: Alice');
+});